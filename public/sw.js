@@ -0,0 +1,76 @@
+/**
+ * Service worker: keeps the app shell available offline.
+ *
+ * - Navigations go to the network first and fall back to the cached
+ *   index.html, so a fresh deploy is picked up whenever there is a connection.
+ * - Built assets (hashed file names, never change) are precached on install
+ *   from precache-manifest.json, which the build writes (see vite.config.js),
+ *   and served from the cache. The first visit's page loads them before this
+ *   worker controls it, so without the list they'd never be cached.
+ * - API calls (/api/) and anything cross-origin are never cached; Guide
+ *   requests are queued by the app itself (see src/lib/offlineQueue.js).
+ *
+ * Bump CACHE_VERSION to drop everything cached by an older worker.
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `y-platform-shell-${CACHE_VERSION}`;
+const SCOPE = new URL(self.registration.scope).pathname;
+const SHELL = ['', 'index.html', 'manifest.webmanifest', 'icon.svg'].map(path => `${SCOPE}${path}`);
+
+// Built asset paths, or none when the list is missing (e.g. an older build)
+const builtAssets = async () => {
+  try {
+    const response = await fetch(`${SCOPE}precache-manifest.json`, { cache: 'no-cache' });
+    return response.ok ? (await response.json()).map(path => `${SCOPE}${path}`) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const precache = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll([...new Set([...SHELL, ...await builtAssets()])]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('y-platform-shell-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) (await caches.open(CACHE_NAME)).put(request, response.clone());
+  return response;
+};
+
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) (await caches.open(CACHE_NAME)).put(`${SCOPE}index.html`, response.clone());
+    return response;
+  } catch (error) {
+    return (await caches.match(`${SCOPE}index.html`)) || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.pathname.startsWith(SCOPE)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
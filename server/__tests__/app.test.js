@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createProxyServer } from '../app.js';
+
+const CONFIG = { allowedOrigin: '*', rateLimit: 3, maxBodyBytes: 200, trustProxy: false };
+
+const guide = {
+  translateText: vi.fn(async (text, language) => `[${language}] ${text}`)
+};
+
+let server;
+let baseUrl;
+
+const start = async (config = {}) => {
+  server = createProxyServer(guide, { ...CONFIG, ...config });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+const translate = (body = { text: 'Hola', targetLanguage: 'English' }, headers = {}) =>
+  fetch(`${baseUrl}/api/translate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+beforeEach(() => guide.translateText.mockClear());
+afterEach(() => new Promise(resolve => server.close(resolve)));
+
+describe('AI proxy', () => {
+  it('answers each route with its Guide service', async () => {
+    await start();
+    const response = await translate();
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ result: '[English] Hola' });
+  });
+
+  it('turns away a client over the rate limit with a Retry-After', async () => {
+    await start();
+    for (let i = 0; i < 3; i++) expect((await translate()).status).toBe(200);
+    const limited = await translate();
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(guide.translateText).toHaveBeenCalledTimes(3);
+  });
+
+  it('only reads the client IP from X-Forwarded-For behind a trusted proxy', async () => {
+    await start();
+    for (let i = 0; i < 4; i++) await translate(undefined, { 'X-Forwarded-For': `10.0.0.${i}` });
+    expect((await translate(undefined, { 'X-Forwarded-For': '10.0.0.9' })).status).toBe(429);
+    server.close();
+
+    await start({ trustProxy: true });
+    for (let i = 0; i < 4; i++) expect((await translate(undefined, { 'X-Forwarded-For': `10.0.0.${i}` })).status).toBe(200);
+  });
+
+  it('refuses bodies over the size limit, declared or streamed, without calling the model', async () => {
+    await start();
+    const big = { text: 'a'.repeat(300), targetLanguage: 'English' };
+    expect((await translate(big)).status).toBe(413);
+
+    // No Content-Length: the limit applies as the chunks arrive
+    const encoder = new TextEncoder();
+    const chunked = await fetch(`${baseUrl}/api/translate`, {
+      method: 'POST',
+      duplex: 'half',
+      body: new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode(JSON.stringify(big)));
+          controller.close();
+        }
+      })
+    });
+    expect(chunked.status).toBe(413);
+    expect(guide.translateText).not.toHaveBeenCalled();
+  });
+
+  it('rejects unreadable JSON and missing fields', async () => {
+    await start();
+    const invalid = await translate('{not json');
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual({ error: 'Invalid JSON body' });
+
+    const missing = await translate({ text: 'Hola' });
+    expect(missing.status).toBe(400);
+    expect(await missing.json()).toEqual({ error: 'Missing fields: targetLanguage' });
+  });
+});
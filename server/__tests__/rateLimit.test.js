@@ -0,0 +1,25 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRateLimiter } from '../rateLimit.js';
+
+afterEach(() => vi.useRealTimers());
+
+describe('createRateLimiter', () => {
+  it('allows `max` requests per window for each IP', () => {
+    const limiter = createRateLimiter({ max: 2 });
+    expect(limiter.check('1.1.1.1')).toMatchObject({ allowed: true, remaining: 1 });
+    expect(limiter.check('1.1.1.1')).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limiter.check('1.1.1.1')).toMatchObject({ allowed: false, remaining: 0 });
+    expect(limiter.check('2.2.2.2').allowed).toBe(true); // Counted apart
+  });
+
+  it('tells a blocked client when to come back, and lets it in once the window resets', () => {
+    vi.useFakeTimers();
+    const limiter = createRateLimiter({ windowMs: 60_000, max: 1 });
+    limiter.check('1.1.1.1');
+    vi.advanceTimersByTime(15_000);
+    expect(limiter.check('1.1.1.1')).toMatchObject({ allowed: false, retryAfter: 45 });
+
+    vi.advanceTimersByTime(45_000);
+    expect(limiter.check('1.1.1.1').allowed).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { createRooms } from '../rooms.js';
+
+// A ws-like socket that keeps what the relay sent it
+const createSocket = () => ({
+  OPEN: 1,
+  readyState: 1,
+  received: [],
+  send(data) { this.received.push(JSON.parse(data)); },
+  close() { this.readyState = 3; }
+});
+
+const lastOf = (socket) => socket.received.at(-1);
+
+const createRoom = (rooms, socket, token = 'host') => {
+  rooms.receive(socket, JSON.stringify({ type: 'create', token }));
+  return lastOf(socket).code;
+};
+
+const join = (rooms, socket, code, token) => {
+  rooms.receive(socket, JSON.stringify({ type: 'join', code, token }));
+  return lastOf(socket);
+};
+
+describe('relay rooms', () => {
+  it('seats the first joiner as B and turns away a third device', () => {
+    const rooms = createRooms();
+    const host = createSocket();
+    const code = createRoom(rooms, host);
+
+    expect(join(rooms, createSocket(), code.toLowerCase(), 'guest')).toEqual({ type: 'joined', code, role: 'B', state: null });
+    expect(lastOf(host)).toEqual({ type: 'peer-joined' });
+    expect(join(rooms, createSocket(), code, 'intruder')).toEqual({ type: 'error', reason: 'room-full' });
+  });
+
+  it('gives a seat back only to the token that holds it', () => {
+    const rooms = createRooms();
+    const host = createSocket();
+    const guest = createSocket();
+    const code = createRoom(rooms, host);
+    join(rooms, guest, code, 'guest');
+    rooms.receive(host, JSON.stringify({ type: 'sync', state: { phase: 2 } }));
+    expect(lastOf(guest)).toEqual({ type: 'sync', state: { phase: 2 } });
+
+    // The guest drops: its seat stays its own, with the latest state waiting
+    guest.close();
+    rooms.leave(guest);
+    expect(lastOf(host)).toEqual({ type: 'peer-left' });
+    expect(join(rooms, createSocket(), code, 'intruder')).toEqual({ type: 'error', reason: 'room-full' });
+    expect(join(rooms, createSocket(), code, 'guest')).toEqual({ type: 'joined', code, role: 'B', state: { phase: 2 } });
+
+    // The host's token takes back seat A, closing a stale socket still in it
+    const hostAgain = createSocket();
+    expect(join(rooms, hostAgain, code, 'host')).toMatchObject({ type: 'joined', role: 'A' });
+    expect(host.readyState).toBe(3);
+  });
+
+  it('refuses requests without a token, an unknown code or a room', () => {
+    const rooms = createRooms();
+    const socket = createSocket();
+    rooms.receive(socket, JSON.stringify({ type: 'create' }));
+    expect(lastOf(socket)).toEqual({ type: 'error', reason: 'invalid-message' });
+    expect(join(rooms, socket, 'NOPE22', 'token')).toEqual({ type: 'error', reason: 'not-found' });
+    rooms.receive(socket, JSON.stringify({ type: 'sync', state: {} }));
+    expect(lastOf(socket)).toEqual({ type: 'error', reason: 'not-in-room' });
+    rooms.receive(socket, 'not json');
+    expect(lastOf(socket)).toEqual({ type: 'error', reason: 'invalid-message' });
+    rooms.receive(socket, JSON.stringify({ type: 'kick' }));
+    expect(lastOf(socket)).toEqual({ type: 'error', reason: 'unknown-type' });
+  });
+
+  it('gives up the old seat when a socket joins another room', () => {
+    const rooms = createRooms();
+    const host = createSocket();
+    const guest = createSocket();
+    const first = createRoom(rooms, host);
+    join(rooms, guest, first, 'guest');
+
+    const other = createRoom(rooms, createSocket(), 'other-host');
+    join(rooms, guest, other, 'guest');
+    expect(lastOf(host)).toEqual({ type: 'peer-left' });
+
+    // The guest's sync reaches the new room only
+    rooms.receive(guest, JSON.stringify({ type: 'sync', state: { phase: 1 } }));
+    expect(lastOf(host)).toEqual({ type: 'peer-left' });
+  });
+
+  it('closes a room once its last seat is given up for another', () => {
+    const rooms = createRooms();
+    const host = createSocket();
+    const first = createRoom(rooms, host);
+    createRoom(rooms, host, 'host-again');
+    expect(rooms.has(first)).toBe(false);
+  });
+});
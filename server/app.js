@@ -0,0 +1,167 @@
+import http from 'node:http';
+import { isAbortError } from '../src/ai/retry.js';
+import { createRateLimiter } from './rateLimit.js';
+
+/**
+ * Minimal AI proxy. It owns the model API key so nothing secret ships to the
+ * browser, and exposes one endpoint per Guide service:
+ *
+ *   POST /api/safety      { text, style? }
+ *   POST /api/transition  { history, currentPhase, nextPhase, topic, language?, memory?, style? }
+ *   POST /api/answer      { history, question, topic, phase, language?, memory?, style? }
+ *   POST /api/translate   { text, targetLanguage }
+ *   POST /api/recap       { history, topic, language? }
+ *   POST /api/reflection  { reflection, partnerMessages, topic, language? }
+ *   POST /api/summary     { history, previousSummary?, topic }
+ *
+ * Every endpoint responds with { result }. /api/transition and /api/answer
+ * also stream: with `Accept: text/event-stream` they send `data: { text }`
+ * events as the reply grows, then `data: { result }` (or `data: { error }`).
+ *
+ * `config` is { allowedOrigin, rateLimit, maxBodyBytes, trustProxy } (see
+ * index.js for what each one means and its default).
+ */
+
+// --- ROUTES ---
+
+const createRoutes = (guide) => ({
+  '/api/safety': {
+    required: ['text'],
+    run: ({ text, style }, { signal }) => guide.runSafetyCheck(text, { signal, style })
+  },
+  '/api/transition': {
+    required: ['history', 'currentPhase', 'nextPhase', 'topic'],
+    streams: true,
+    run: ({ history, currentPhase, nextPhase, topic, language, memory, style }, options) =>
+      guide.generateGuideGuidance(history, currentPhase, nextPhase, topic, language, { ...options, memory, style })
+  },
+  '/api/answer': {
+    required: ['history', 'question', 'topic', 'phase'],
+    streams: true,
+    run: ({ history, question, topic, phase, language, memory, style }, options) =>
+      guide.generateGuideAnswer(history, question, topic, phase, language, { ...options, memory, style })
+  },
+  '/api/translate': {
+    required: ['text', 'targetLanguage'],
+    run: ({ text, targetLanguage }, { signal }) => guide.translateText(text, targetLanguage, { signal })
+  },
+  '/api/recap': {
+    required: ['history', 'topic'],
+    run: ({ history, topic, language }, { signal }) => guide.generateRecap(history, topic, language, { signal })
+  },
+  '/api/reflection': {
+    required: ['reflection', 'partnerMessages', 'topic'],
+    run: ({ reflection, partnerMessages, topic, language }, { signal }) =>
+      guide.evaluateReflection(reflection, partnerMessages, topic, language, { signal })
+  },
+  '/api/summary': {
+    required: ['history', 'topic'],
+    run: ({ history, previousSummary, topic }, { signal }) => guide.summarizeDialogue(history, previousSummary, topic, { signal })
+  }
+});
+
+// --- HELPERS ---
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readJson = (req, limit) => new Promise((resolve, reject) => {
+  const declared = Number(req.headers['content-length']);
+  if (declared > limit) return reject(new HttpError(413, 'Request body too large'));
+
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      // Stop reading; the 413 goes out with Connection: close, which drops the rest
+      reject(new HttpError(413, 'Request body too large'));
+      req.pause();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); }
+    catch (e) { reject(new HttpError(400, 'Invalid JSON body')); }
+  });
+  req.on('error', reject);
+});
+
+const clientIp = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const sendEvent = (res, data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+const wantsStream = (req, route) => route.streams && (req.headers.accept || '').includes('text/event-stream');
+
+// --- SERVER ---
+
+export function createProxyServer(guide, config) {
+  const routes = createRoutes(guide);
+  const limiter = createRateLimiter({ max: config.rateLimit });
+
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const route = routes[new URL(req.url, 'http://localhost').pathname];
+    if (!route) return send(res, 404, { error: 'Not found' });
+    if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+    const limit = limiter.check(clientIp(req, config.trustProxy));
+    if (!limit.allowed) {
+      return send(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(limit.retryAfter) });
+    }
+
+    try {
+      const body = await readJson(req, config.maxBodyBytes);
+      const missing = route.required.filter(field => body[field] === undefined);
+      if (missing.length) throw new HttpError(400, `Missing fields: ${missing.join(', ')}`);
+      if (body.history && !Array.isArray(body.history)) throw new HttpError(400, 'history must be an array');
+
+      // Stop calling the model once the browser goes away (cancelled or closed)
+      const controller = new AbortController();
+      res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+
+      if (wantsStream(req, route)) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        try {
+          const result = await route.run(body, { signal: controller.signal, onText: (text) => sendEvent(res, { text }) });
+          sendEvent(res, { result });
+        } catch (error) {
+          if (!isAbortError(error)) {
+            console.error("Proxy Error:", error);
+            sendEvent(res, { error: 'Internal server error' });
+          }
+        }
+        return res.end();
+      }
+
+      const result = await route.run(body, { signal: controller.signal });
+      send(res, 200, { result });
+    } catch (error) {
+      if (error instanceof HttpError) return send(res, error.status, { error: error.message }, error.status === 413 ? { Connection: 'close' } : {});
+      if (isAbortError(error)) return res.end();
+      console.error("Proxy Error:", error);
+      send(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
@@ -0,0 +1,55 @@
+import { createProvider } from '../src/ai/providers.js';
+import { createGuide } from '../src/ai/guide.js';
+import { createResilientModel } from '../src/ai/retry.js';
+import { createProxyServer } from './app.js';
+
+/**
+ * Entry point for the AI proxy (server/app.js): reads its settings from the
+ * environment and listens.
+ *
+ * Environment:
+ *   PORT             (default 8787)
+ *   LLM_PROVIDER     gemini | openai | mock (default gemini)
+ *   LLM_API_KEY      provider API key (GEMINI_API_KEY is also accepted)
+ *   LLM_MODEL        model override
+ *   LLM_BASE_URL     provider base URL override
+ *   ALLOWED_ORIGIN   CORS origin (default *)
+ *   RATE_LIMIT       requests per minute per IP (default 30)
+ *   MAX_BODY_BYTES   request size limit (default 64kb)
+ *   TRUST_PROXY      set to 1 to read the client IP from X-Forwarded-For
+ *   MODERATION_FAIL_CLOSED  set to 1 to reject messages when moderation can't reach the model
+ *   MODERATION_RETRIES      extra attempts on malformed moderation output (default 1)
+ *   LLM_TIMEOUT_MS   per-attempt model timeout (default 20000)
+ *   LLM_RETRIES      extra attempts after a failed or timed-out model call (default 2);
+ *                    the only retries on this path, the browser asks the proxy once
+ *   LLM_TOKEN_BUDGET estimated tokens of dialogue context per transition or answer prompt (default 2000)
+ */
+const config = {
+  port: Number(process.env.PORT) || 8787,
+  allowedOrigin: process.env.ALLOWED_ORIGIN || '*',
+  rateLimit: Number(process.env.RATE_LIMIT) || 30,
+  maxBodyBytes: Number(process.env.MAX_BODY_BYTES) || 64 * 1024,
+  trustProxy: process.env.TRUST_PROXY === '1'
+};
+
+const provider = createProvider({
+  provider: process.env.LLM_PROVIDER || 'gemini',
+  apiKey: process.env.LLM_API_KEY || process.env.GEMINI_API_KEY,
+  model: process.env.LLM_MODEL,
+  baseUrl: process.env.LLM_BASE_URL
+});
+const callModel = createResilientModel(provider.generate, {
+  timeoutMs: process.env.LLM_TIMEOUT_MS ? Number(process.env.LLM_TIMEOUT_MS) : undefined,
+  retries: process.env.LLM_RETRIES !== undefined ? Number(process.env.LLM_RETRIES) : undefined
+});
+const guide = createGuide(callModel, {
+  failClosed: process.env.MODERATION_FAIL_CLOSED === '1',
+  retries: process.env.MODERATION_RETRIES !== undefined ? Number(process.env.MODERATION_RETRIES) : 1,
+  tokenBudget: process.env.LLM_TOKEN_BUDGET ? Number(process.env.LLM_TOKEN_BUDGET) : undefined
+});
+
+const server = createProxyServer(guide, config);
+
+server.listen(config.port, () => {
+  console.log(`Y Platform AI proxy (${provider.name}) listening on http://localhost:${config.port}`);
+});
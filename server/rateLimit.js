@@ -0,0 +1,31 @@
+/**
+ * Fixed-window, in-memory rate limiter keyed by client IP. Good enough for a
+ * single proxy instance; put something shared in front if this ever scales out.
+ */
+export function createRateLimiter({ windowMs = 60_000, max = 30 } = {}) {
+  const hits = new Map(); // ip -> { count, resetAt }
+
+  // Drop expired windows so the map doesn't grow with every visitor
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, ip) => { if (entry.resetAt <= now) hits.delete(ip); });
+  }, windowMs);
+  sweep.unref();
+
+  const check = (ip) => {
+    const now = Date.now();
+    let entry = hits.get(ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(ip, entry);
+    }
+    entry.count++;
+    return {
+      allowed: entry.count <= max,
+      remaining: Math.max(0, max - entry.count),
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+    };
+  };
+
+  return { check };
+}
@@ -0,0 +1,23 @@
+import { WebSocketServer } from 'ws';
+import { createRooms } from './rooms.js';
+
+/**
+ * WebSocket relay for two-device dialogues. The message protocol and the
+ * room rules live in rooms.js; this only wires them to a WebSocket server.
+ *
+ * Environment: RELAY_PORT (default 8788), MAX_MESSAGE_BYTES (default 1mb).
+ */
+const port = Number(process.env.RELAY_PORT) || 8788;
+const maxPayload = Number(process.env.MAX_MESSAGE_BYTES) || 1024 * 1024;
+
+const rooms = createRooms();
+const wss = new WebSocketServer({ port, maxPayload });
+
+wss.on('connection', (socket) => {
+  socket.on('message', (raw) => rooms.receive(socket, raw));
+  socket.on('close', () => rooms.leave(socket));
+});
+
+wss.on('listening', () => {
+  console.log(`Y Platform relay listening on ws://localhost:${port}`);
+});
@@ -0,0 +1,113 @@
+/**
+ * Rooms for the two-device relay (see relay.js). It knows nothing about the
+ * dialogue itself: the host creates a room, the partner joins it with the
+ * code, and each `sync` payload is kept as the room's latest state and
+ * forwarded to the other device.
+ *
+ * Client -> relay:
+ *   { type: 'create', token }
+ *   { type: 'join', code, token }
+ *   { type: 'sync', state }
+ *
+ * Relay -> client:
+ *   { type: 'created', code, role: 'A' }
+ *   { type: 'joined', code, role: 'B', state }
+ *   { type: 'peer-joined' } | { type: 'peer-left' }
+ *   { type: 'sync', state }
+ *   { type: 'error', reason }   // 'not-found' | 'room-full' | 'not-in-room' | 'invalid-message' | 'unknown-type'
+ *
+ * `token` is a random string each device picks for a room. A seat belongs
+ * to the token that first took it, so a dropped device rejoins its own seat
+ * and nobody else can take it. A socket sits in one seat at a time: creating
+ * or joining another room gives up the one it had. Errors carry a reason
+ * code for the clients to translate.
+ *
+ * Sockets only need `send`, `close`, `readyState` and `OPEN`, like a ws
+ * WebSocket.
+ */
+
+// Unambiguous characters only — codes are read aloud and typed on phones
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const send = (socket, payload) => {
+  if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(payload));
+};
+
+const peerOf = (room, role) => room[role === 'A' ? 'B' : 'A'];
+
+export function createRooms() {
+  const rooms = new Map(); // code -> { A: socket | null, B: socket | null, tokens: { A, B }, state }
+
+  const createCode = () => {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+  };
+
+  // Frees the socket's seat and tells its partner; a room nobody sits in is gone
+  const leave = (socket) => {
+    const room = rooms.get(socket.room);
+    if (!room || room[socket.role] !== socket) return;
+    room[socket.role] = null;
+    send(peerOf(room, socket.role), { type: 'peer-left' });
+    if (!room.A && !room.B) rooms.delete(socket.room);
+  };
+
+  const handlers = {
+    create: (socket, { token }) => {
+      if (!token) return send(socket, { type: 'error', reason: 'invalid-message' });
+      leave(socket);
+      const code = createCode();
+      rooms.set(code, { A: socket, B: null, tokens: { A: String(token), B: null }, state: null });
+      socket.room = code;
+      socket.role = 'A';
+      send(socket, { type: 'created', code, role: 'A' });
+    },
+
+    join: (socket, { code, token }) => {
+      if (!token) return send(socket, { type: 'error', reason: 'invalid-message' });
+      const normalized = String(code || '').trim().toUpperCase();
+      const room = rooms.get(normalized);
+      if (!room) return send(socket, { type: 'error', reason: 'not-found' });
+
+      // Back into the seat this token holds; otherwise seat B if nobody has claimed it
+      const role = ['A', 'B'].find(r => room.tokens[r] === String(token)) || (!room.tokens.B ? 'B' : null);
+      if (!role) return send(socket, { type: 'error', reason: 'room-full' });
+
+      if (socket.room !== normalized) leave(socket);
+      else if (socket.role !== role && room[socket.role] === socket) room[socket.role] = null;
+
+      // A stale socket still in the seat is replaced (its close handler then leaves the room alone)
+      if (room[role] && room[role] !== socket) room[role].close();
+      room[role] = socket;
+      room.tokens[role] = String(token);
+      socket.room = normalized;
+      socket.role = role;
+      send(socket, { type: 'joined', code: socket.room, role, state: room.state });
+      send(peerOf(room, role), { type: 'peer-joined' });
+    },
+
+    sync: (socket, { state }) => {
+      const room = rooms.get(socket.room);
+      if (!room) return send(socket, { type: 'error', reason: 'not-in-room' });
+      room.state = state;
+      send(peerOf(room, socket.role), { type: 'sync', state });
+    }
+  };
+
+  // `raw` is the frame as received; anything unreadable gets an error back
+  const receive = (socket, raw) => {
+    let message;
+    try { message = JSON.parse(raw.toString()); }
+    catch (e) { return send(socket, { type: 'error', reason: 'invalid-message' }); }
+
+    const handler = handlers[message?.type];
+    if (!handler) return send(socket, { type: 'error', reason: 'unknown-type' });
+    handler(socket, message);
+  };
+
+  return { receive, leave, has: (code) => rooms.has(code) };
+}
@@ -0,0 +1,275 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup, within, waitFor, act } from '@testing-library/react';
+import { listSessions } from '../lib/storage.js';
+import { getFacilitatorStore } from '../lib/facilitatorStore.js';
+
+// A scripted speech engine and a stubbed model stand in for the microphone
+// and the LLM, so the whole dialogue runs through the real Guide services.
+const { speech, model } = vi.hoisted(() => ({
+  speech: { engine: null },
+  model: { calls: [], prompts: [], answers: [], transitions: 0, unreachable: 0 }
+}));
+
+vi.mock('../speech/index.js', async () => {
+  const { createFakeEngine } = await import('../speech/fakeEngine.js');
+  return { createFakeEngine, createSpeechEngine: () => speech.engine };
+});
+
+vi.mock('../ai/client.js', async () => {
+  const { createGuide } = await import('../ai/guide.js');
+  const replies = {
+    safety: (prompt) => prompt.includes('Shut up about the floods')
+      ? JSON.stringify({ status: 'rejected', category: 'hostility', severity: 'high', title: "Let's keep it respectful", message: 'Try describing how you feel instead.', suggestion: null })
+      : prompt.includes('You are always wrong')
+        ? JSON.stringify({ status: 'rejected', category: 'dismissiveness', severity: 'medium', title: 'Speak to the idea', message: 'Say what you disagree with.', suggestion: 'I see this differently.' })
+        : prompt.includes('Who cares')
+          ? JSON.stringify({ status: 'rejected', category: 'dismissiveness', severity: 'low', title: 'This may come across as dismissive', message: 'You can still send it.', suggestion: null })
+          : JSON.stringify({ status: 'approved' }),
+    transition: () => (model.unreachable-- > 0 ? null : `Guide opens the next step (${++model.transitions}).`),
+    answer: () => model.answers.shift(),
+    reflection: () => JSON.stringify({ accuracy: 85, captured: ['floods'], missed: [], feedback: 'You were heard.' }),
+    translate: () => null,
+    recap: () => 'A calm conversation.',
+    summary: () => JSON.stringify({
+      A: { values: ['family'], experiences: ['grew up on a farm'] },
+      B: { values: ['safety'], experiences: ['city flooded twice'] },
+      divergences: []
+    })
+  };
+  const callModel = async (prompt, { task, onText }) => {
+    model.calls.push(task);
+    model.prompts.push({ task, prompt });
+    const reply = replies[task](prompt);
+    if (reply) onText?.(reply);
+    return reply;
+  };
+  return createGuide(callModel);
+});
+
+const { default: App } = await import('../App.jsx');
+const { createFakeEngine } = await import('../speech/fakeEngine.js');
+
+const SCRIPT = [
+  'What does carbon pricing mean?',                                        // Public question (A)
+  'How can I ask about their childhood?',                                  // Private hint (A)
+  'I grew up on a farm and water mattered to my family.',                  // Phase 1
+  'My city flooded twice, so the climate feels urgent to me.',
+  'Shut up about the floods.',                                             // Phase 2: rejected outright
+  'You are always wrong about this.',                                      // Rejected by the model
+  'My neighbours lost their homes in the second flood.',
+  'I heard that your city flooded and the climate feels urgent to you.',   // Phase 3, checked
+  'You said water mattered to your family farm.',
+  'We differ on how fast things should change.',                           // Phase 4
+  'I think we differ on who should pay.',
+  'We both care about the people around us.',                              // Phase 5
+  'We both want our families to be safe.',
+  'I did not expect to agree on so much.',                                 // Phase 6
+  'I will remember the floods you described.'
+];
+
+const button = (name) => screen.findByRole('button', { name });
+
+// Records one take from the script and stops, leaving it under review
+const record = async (startButton) => {
+  fireEvent.click(startButton);
+  fireEvent.click(await button('Stop recording'));
+};
+
+const takeTurn = async (speaker) => {
+  await record(await button(`Record User ${speaker}`));
+  fireEvent.click(await button(`Send as User ${speaker}`));
+};
+
+const confirmReflection = async () => fireEvent.click(await button("Yes, that's what I meant"));
+
+beforeAll(() => {
+  Element.prototype.scrollIntoView = () => {};
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  speech.engine = createFakeEngine(SCRIPT.map(line => [line]));
+  model.calls = [];
+  model.prompts = [];
+  model.answers = ['It puts a price on emissions.', 'Ask what a dry summer was like.'];
+  model.transitions = 0;
+  model.unreachable = 0;
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+});
+
+describe('a six-phase dialogue', () => {
+  it('runs from onboarding to the Civility Profile', async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Climate Change' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Begin Dialogue' }));
+    const feed = await screen.findByRole('log');
+
+    // Public question: both see Guide's answer, and A keeps the turn
+    await record(await button(/Ask Guide publicly/));
+    fireEvent.click(await button('Send Public Clarification'));
+    expect(await within(feed).findByText('It puts a price on emissions.')).toBeTruthy();
+
+    // Private hint: shown to the asker only, never in the transcript
+    await record(await button(/Ask Guide privately/));
+    fireEvent.click(await button('Get Private Hint from Guide'));
+    expect(await screen.findByText('Ask what a dry summer was like.')).toBeTruthy();
+    expect(within(feed).queryByText('Ask what a dry summer was like.')).toBeNull();
+
+    // Phase 1: A then B, and Guide opens phase 2
+    await takeTurn('A');
+    await waitFor(() => expect(screen.queryByText('Ask what a dry summer was like.')).toBeNull()); // Cleared once A spoke
+    await takeTurn('B');
+    expect(await within(feed).findByText('Guide opens the next step (1).')).toBeTruthy();
+    expect(await screen.findByText('Phase 2/6')).toBeTruthy();
+
+    // Phase 2: a hostile rejection, then one with a suggested rephrase
+    await takeTurn('A');
+    expect((await screen.findByRole('alert')).textContent).toContain("Let's keep it respectful");
+    fireEvent.click(await button('Discard and record again'));
+    await takeTurn('A');
+    expect((await screen.findByRole('alert')).textContent).toContain('Speak to the idea');
+    fireEvent.click(await button('Use suggested rephrase'));
+    fireEvent.click(await button('Send as User A'));
+
+    // Two rejections raised the tension past the threshold: Guide stepped in and offers a break
+    fireEvent.click(await button('Keep going'));
+    await takeTurn('B');
+
+    // Phase 3: each reflection waits for the partner's verdict
+    await takeTurn('A');
+    await confirmReflection();
+    await takeTurn('B');
+    await confirmReflection();
+
+    for (const phase of [4, 5, 6]) {
+      expect(await screen.findByText(`Phase ${phase}/6`)).toBeTruthy();
+      await takeTurn('A');
+      await takeTurn('B');
+    }
+
+    // Phase 6 closes the dialogue: archived, then the Civility Profile
+    expect(await screen.findByText('Civility Profile', {}, { timeout: 4000 })).toBeTruthy();
+    expect(screen.getByText('2 messages flagged by Guide')).toBeTruthy();
+    expect(screen.getByText('No messages flagged by Guide')).toBeTruthy();
+
+    const [archived] = listSessions();
+    const spoken = archived.messages.filter(m => m.sender !== 'guide' && !m.isToGuide);
+    expect(spoken.map(m => m.sender)).toEqual(['A', 'B', 'A', 'B', 'A', 'B', 'A', 'B', 'A', 'B', 'A', 'B']);
+    expect(spoken[2]).toMatchObject({ text: 'I see this differently.', phase: 2 });
+    expect(spoken[2]).not.toHaveProperty('recognizedText'); // The rejected wording went no further than the safety check
+    expect(JSON.stringify(archived)).not.toContain('You are always wrong');
+    expect(model.prompts.filter(p => p.prompt.includes('You are always wrong')).map(p => p.task)).toEqual(['safety']);
+    expect(spoken.filter(m => m.reflection).map(m => m.reflection.status)).toEqual(['confirmed', 'confirmed']);
+    expect(archived.rejections).toEqual({ A: 2, B: 0 });
+    expect(JSON.stringify(archived)).not.toContain('dry summer');
+    expect(JSON.stringify(archived)).not.toContain('Shut up');
+    expect(model.calls.filter(task => task === 'transition')).toHaveLength(5);
+
+    // From phase 3 on, Guide recalls phase 1 through its summary rather than the turns themselves
+    expect(model.calls.filter(task => task === 'summary')).toHaveLength(5);
+    const lastTransition = model.prompts.filter(p => p.task === 'transition').at(-1).prompt;
+    expect(lastTransition).toContain('city flooded twice');
+    expect(lastTransition).not.toContain('I grew up on a farm and water mattered');
+    expect(archived.memory).toBeUndefined();
+  }, 30000);
+
+  it('resumes an unfinished dialogue after a reload', async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Climate Change' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Begin Dialogue' }));
+    fireEvent.click(await button('Type instead'));
+    fireEvent.change(screen.getByLabelText('Your message'), { target: { value: 'My family farmed.' } });
+    fireEvent.click(await button('Send as User A'));
+    await button('Record User B');
+
+    // A fresh page: the saved snapshot is offered and picks up at B's turn
+    cleanup();
+    render(<App />);
+    fireEvent.click(await button('Resume dialogue'));
+    const feed = await screen.findByRole('log');
+    expect(within(feed).getByText('My family farmed.')).toBeTruthy();
+    expect(await button('Record User B')).toBeTruthy();
+  });
+
+  it('only lets a nudged message through unchecked while its text is unchanged', async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Climate Change' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Begin Dialogue' }));
+
+    fireEvent.click(await button('Type instead'));
+    fireEvent.change(screen.getByLabelText('Your message'), { target: { value: 'Who cares about the floods.' } });
+    fireEvent.click(await button('Send as User A'));
+    expect((await screen.findByRole('alert')).textContent).toContain('dismissive');
+    expect(screen.getByRole('button', { name: 'Send anyway' })).toBeTruthy();
+
+    // Rewritten after the nudge: no skipping the check
+    fireEvent.click(await button('Edit transcript'));
+    fireEvent.change(screen.getByLabelText('Your message'), { target: { value: 'You are always wrong about this.' } });
+    expect(screen.queryByRole('button', { name: 'Send anyway' })).toBeNull();
+    fireEvent.click(await button('Send as User A'));
+    expect((await screen.findByText('Speak to the idea'))).toBeTruthy();
+    expect(model.calls.filter(task => task === 'safety')).toHaveLength(2);
+  });
+
+  it('ends the take when the speech engine stops listening by itself', async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Climate Change' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Begin Dialogue' }));
+
+    fireEvent.click(await button('Record User A'));
+    await button('Stop recording');
+    act(() => speech.engine.fail('not-allowed'));
+
+    // Back to review with what was heard, instead of a timer running on a dead microphone
+    expect(await button('Send as User A')).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Stop recording' })).toBeNull();
+  });
+
+  it('ignores a facilitator skip while a reflection awaits its verdict', async () => {
+    speech.engine = createFakeEngine([['My family farmed.'], ['My city flooded.'], ['I heard that your city flooded.']]);
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Climate Change' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Begin Dialogue' }));
+    await takeTurn('A');
+    await takeTurn('B');
+    expect(await screen.findByText('Phase 2/6')).toBeTruthy();
+
+    const store = getFacilitatorStore();
+    const skip = async (phase) => {
+      await act(async () => { store.sendCommand(store.listSessions()[0].id, { type: 'skip-phase' }); });
+      expect(await screen.findByText(`Phase ${phase}/6`)).toBeTruthy();
+    };
+    await skip(3);
+
+    await takeTurn('A');
+    await button("Yes, that's what I meant");
+    await waitFor(() => expect(store.listSessions()[0].busy).toBe(true));
+    await skip(3);
+    expect(screen.queryByText('Phase 4/6')).toBeNull();
+  });
+
+  it('queues a transition Guide could not write while online and rewords it once Guide answers again', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    speech.engine = createFakeEngine([['My family farmed.'], ['My city flooded.']]);
+    model.unreachable = 1;
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Climate Change' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Begin Dialogue' }));
+    const feed = await screen.findByRole('log');
+
+    await takeTurn('A');
+    await takeTurn('B');
+    expect(await within(feed).findByText('Guide will reword this when the connection returns')).toBeTruthy();
+
+    // Still "online" all along: the periodic retry picks it up
+    await act(async () => { vi.advanceTimersByTime(30000); });
+    expect(await within(feed).findByText('Guide opens the next step (1).')).toBeTruthy();
+    expect(within(feed).queryByText('Guide will reword this when the connection returns')).toBeNull();
+  });
+});
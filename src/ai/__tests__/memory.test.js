@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { parseSummary, formatSummary, memoryBlocks, messagesSince, estimateTokens } from '../memory.js';
+import { createGuide, formatTranscript } from '../guide.js';
+import { readBlock } from '../prompt.js';
+
+const topic = { id: 'builtin:climate', title: 'Climate Policy' };
+const summary = {
+  A: { values: ['family'], experiences: ['grew up on a farm'] },
+  B: { values: ['safety'], experiences: ['city flooded twice'] },
+  divergences: ['how fast to act']
+};
+const say = (sender, phase, text) => ({ id: `${sender}-${phase}-${text}`, sender, phase, text });
+const history = [
+  say('A', 1, 'Water mattered to my family.'),
+  say('B', 1, 'My city flooded twice.'),
+  say('A', 2, 'Droughts ruined our harvest.'),
+  say('B', 2, 'We had to move out for a month.')
+];
+
+describe('parseSummary', () => {
+  it('accepts schema-shaped output wrapped in prose and trims items', () => {
+    expect(parseSummary(`Notes: ${JSON.stringify({ ...summary, divergences: [' how fast to act ', ''] })}`)).toEqual(summary);
+  });
+
+  it('rejects output that does not match the schema', () => {
+    expect(parseSummary({ ...summary, A: { values: 'family', experiences: [] } })).toBeNull();
+    expect(parseSummary({ A: summary.A, B: summary.B })).toBeNull();
+    expect(parseSummary('not json')).toBeNull();
+  });
+});
+
+describe('formatSummary', () => {
+  it('lists each person\'s values and experiences, then the divergences', () => {
+    const text = formatSummary(summary);
+    expect(text).toContain('User A\n- Values: family\n- Experiences: grew up on a farm');
+    expect(text).toContain('- Points of divergence: how fast to act');
+  });
+
+  it('is empty for a missing or malformed summary', () => {
+    expect(formatSummary(null)).toBe('');
+    expect(formatSummary({ A: 'anything' })).toBe('');
+  });
+});
+
+describe('memoryBlocks', () => {
+  it('sends the whole transcript until there is a summary', () => {
+    expect(memoryBlocks(history, null, formatTranscript)).toEqual({ SUMMARY: '', TRANSCRIPT: formatTranscript(history) });
+  });
+
+  it('sends the summary plus only the turns after the phases it covers', () => {
+    const memory = { summary, throughPhase: 1 };
+    const blocks = memoryBlocks(history, memory, formatTranscript);
+    expect(blocks.SUMMARY).toBe(formatSummary(summary));
+    expect(blocks.TRANSCRIPT).toBe(formatTranscript(messagesSince(history, memory)));
+    expect(blocks.TRANSCRIPT).not.toContain('Water mattered');
+  });
+
+  it('drops the oldest recent turns to stay under the budget, keeping the latest', () => {
+    const long = Array.from({ length: 40 }, (_, i) => say(i % 2 ? 'B' : 'A', 3, `Turn ${i} `.repeat(10)));
+    const { SUMMARY, TRANSCRIPT } = memoryBlocks(long, { summary, throughPhase: 2 }, formatTranscript, 300);
+    expect(estimateTokens(SUMMARY) + estimateTokens(TRANSCRIPT)).toBeLessThanOrEqual(300);
+    expect(TRANSCRIPT).toMatch(/^\[\d+ earlier turns omitted\]/);
+    expect(TRANSCRIPT).toContain('Turn 39');
+
+    const tiny = memoryBlocks(long, null, formatTranscript, 1);
+    expect(tiny.TRANSCRIPT).toContain('[39 earlier turns omitted]');
+  });
+});
+
+describe('Guide with memory', () => {
+  it('recalls the summary in transitions and answers instead of the early turns', async () => {
+    const prompts = [];
+    const guide = createGuide(async (prompt) => { prompts.push(prompt); return 'ok'; });
+    const memory = { summary, throughPhase: 1 };
+    const phase = { title: 'Stories', goal: 'Share a story' };
+
+    await guide.generateGuideGuidance(history, phase, { goal: 'Reflect', prompt: 'What did you hear?' }, topic, 'English', { memory });
+    await guide.generateGuideAnswer(history, 'What now?', topic, phase, 'English', { memory });
+
+    for (const prompt of prompts) {
+      expect(readBlock(prompt, 'SUMMARY')).toContain('city flooded twice');
+      expect(readBlock(prompt, 'TRANSCRIPT')).not.toContain('Water mattered');
+      expect(readBlock(prompt, 'TRANSCRIPT')).toContain('Droughts ruined our harvest.');
+    }
+  });
+
+  it('folds new turns into the previous summary, or keeps the memory when the model fails', async () => {
+    let seen;
+    const guide = createGuide(async (prompt, { task }) => { seen = { prompt, task }; return JSON.stringify(summary); });
+    expect(await guide.summarizeDialogue(history.slice(2), summary, topic)).toEqual(summary);
+    expect(seen.task).toBe('summary');
+    expect(readBlock(seen.prompt, 'PREVIOUS_SUMMARY')).toBe(formatSummary(summary));
+    expect(readBlock(seen.prompt, 'TRANSCRIPT')).toBe(formatTranscript(history.slice(2)));
+
+    expect(await createGuide(async () => null).summarizeDialogue(history, null, topic)).toBeNull();
+    expect(await createGuide(async () => 'Sorry, no JSON').summarizeDialogue(history, null, topic)).toBeNull();
+  });
+});
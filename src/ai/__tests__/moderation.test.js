@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parseModeration, countsAgainstSpeaker, moderationFallback } from '../moderation.js';
+import { createGuide } from '../guide.js';
+
+const rejected = (severity, category = 'insult') => ({ status: 'rejected', category, severity });
+
+const INSULT = { status: 'rejected', category: 'insult', severity: 'medium', title: 'Speak to the idea', message: 'Name-calling makes it hard to be heard.', suggestion: 'I think you are wrong about this.' };
+
+// Replies with each scripted answer in turn and records what it was sent
+const scriptedModel = (...replies) => {
+  const calls = [];
+  const callModel = async (prompt, options) => {
+    calls.push({ prompt, ...options });
+    return replies.shift() ?? null;
+  };
+  return { calls, callModel };
+};
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('parseModeration', () => {
+  it('accepts an approval and a complete rejection, trimming the text', () => {
+    expect(parseModeration('{"status": "approved"}')).toEqual({ status: 'approved', category: 'none', severity: 'none', suggestion: null, source: 'ai' });
+    expect(parseModeration(`Sure:\n\`\`\`json\n${JSON.stringify({ ...INSULT, title: ' Speak to the idea ' })}\n\`\`\``)).toEqual({ ...INSULT, source: 'ai' });
+  });
+
+  it('drops an empty suggestion', () => {
+    expect(parseModeration({ ...INSULT, suggestion: '  ' }).suggestion).toBeNull();
+  });
+
+  it('rejects output that does not match the schema', () => {
+    expect(parseModeration('not json')).toBeNull();
+    expect(parseModeration({ status: 'maybe' })).toBeNull();
+    expect(parseModeration({ ...INSULT, category: 'rudeness' })).toBeNull();
+    expect(parseModeration({ ...INSULT, category: 'none' })).toBeNull();
+    expect(parseModeration({ ...INSULT, severity: 'none' })).toBeNull();
+    expect(parseModeration({ ...INSULT, title: '' })).toBeNull();
+    expect(parseModeration({ ...INSULT, suggestion: 42 })).toBeNull();
+  });
+});
+
+describe('countsAgainstSpeaker', () => {
+  it('counts only rejections of how someone spoke', () => {
+    expect(countsAgainstSpeaker(rejected('medium'))).toBe(true);
+    expect(countsAgainstSpeaker(rejected('medium', 'unavailable'))).toBe(false);
+    expect(countsAgainstSpeaker(rejected('medium', 'manipulation'))).toBe(false);
+    expect(countsAgainstSpeaker({ status: 'approved', category: 'none', severity: 'none' })).toBe(false);
+  });
+});
+
+describe('moderationFallback', () => {
+  it('uses the keyword rules, then fails open or closed', () => {
+    expect(moderationFallback('You are an idiot')).toMatchObject({ status: 'rejected', category: 'insult', source: 'local' });
+    expect(moderationFallback('I see it differently')).toMatchObject({ status: 'approved', source: 'local' });
+    expect(moderationFallback('I see it differently', { failClosed: true })).toMatchObject({ status: 'rejected', category: 'unavailable' });
+  });
+});
+
+describe('runSafetyCheck', () => {
+  it.each([
+    'I would never want to hurt you.',
+    'At work I was told to shut up.'
+  ])('lets the model overrule a keyword match in %j', async (text) => {
+    const { calls, callModel } = scriptedModel('{"status": "approved"}');
+    expect(await createGuide(callModel).runSafetyCheck(text)).toMatchObject({ status: 'approved', source: 'ai' });
+    expect(calls).toHaveLength(1);
+    expect(calls[0].prompt).toContain('A keyword filter flagged the message');
+  });
+
+  it('asks again once after malformed output', async () => {
+    const { calls, callModel } = scriptedModel('I think it is fine', JSON.stringify(INSULT));
+    expect(await createGuide(callModel).runSafetyCheck('You are clueless')).toEqual({ ...INSULT, source: 'ai' });
+    expect(calls).toHaveLength(2);
+    expect(calls[1].prompt).toContain('did not match the schema');
+  });
+
+  it('falls back after repeated malformed output', async () => {
+    const { calls, callModel } = scriptedModel('nope', 'still nope');
+    expect(await createGuide(callModel).runSafetyCheck('I see it differently')).toMatchObject({ status: 'approved', source: 'local' });
+    expect(calls).toHaveLength(2);
+  });
+
+  it('holds messages back in fail-closed mode when the model is unreachable', async () => {
+    const { calls, callModel } = scriptedModel();
+    const result = await createGuide(callModel, { failClosed: true }).runSafetyCheck('I see it differently');
+    expect(result).toMatchObject({ status: 'rejected', category: 'unavailable', source: 'local' });
+    expect(calls).toHaveLength(1);
+  });
+
+  it('falls back to the keyword rules when the model is unreachable', async () => {
+    const { callModel } = scriptedModel();
+    expect(await createGuide(callModel).runSafetyCheck('I hate you')).toMatchObject({ status: 'rejected', category: 'hostility', severity: 'high', source: 'local' });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createProvider } from '../providers.js';
+import { createGuide } from '../guide.js';
+
+// Replies with `body` (a JSON object, or SSE text when streaming) and records the request
+const stubFetch = (body, { stream = false } = {}) => {
+  const fetch = vi.fn(async () => new Response(stream ? body : JSON.stringify(body), {
+    status: 200,
+    headers: { 'Content-Type': stream ? 'text/event-stream' : 'application/json' }
+  }));
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+const sse = (...chunks) => chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('createProvider', () => {
+  it('picks the provider by name, Gemini by default', () => {
+    expect(createProvider().name).toBe('gemini');
+    expect(createProvider({ provider: 'openai' }).name).toBe('openai');
+    expect(createProvider({ provider: 'mock' }).name).toBe('mock');
+  });
+
+  it('names the supported providers when asked for an unknown one', () => {
+    expect(() => createProvider({ provider: 'claude' })).toThrow('Expected one of: gemini, openai, mock');
+  });
+});
+
+describe('Gemini provider', () => {
+  it('sends the system instruction apart from the prompt and reads the reply', async () => {
+    const fetch = stubFetch({ candidates: [{ content: { parts: [{ text: 'Hi there' }] } }] });
+    const { generate } = createProvider({ provider: 'gemini', apiKey: 'key', model: 'gemini-test' });
+
+    expect(await generate('Hello', { system: 'Be kind' })).toBe('Hi there');
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-test:generateContent?key=key');
+    expect(JSON.parse(request.body)).toEqual({
+      systemInstruction: { parts: [{ text: 'Be kind' }] },
+      contents: [{ role: 'user', parts: [{ text: 'Hello' }] }]
+    });
+  });
+
+  it('streams through the SSE endpoint', async () => {
+    const fetch = stubFetch(sse(
+      { candidates: [{ content: { parts: [{ text: 'Hi ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'there' }] } }] }
+    ), { stream: true });
+    const onText = vi.fn();
+
+    expect(await createProvider({ provider: 'gemini', apiKey: 'key' }).generate('Hello', { onText })).toBe('Hi there');
+    expect(fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=key');
+    expect(onText.mock.calls.map(([text]) => text)).toEqual(['Hi ', 'Hi there']);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  it('only sends an API key when one is configured', async () => {
+    const reply = { choices: [{ message: { content: 'Hi' } }] };
+    const fetch = stubFetch(reply);
+    expect(await createProvider({ provider: 'openai', apiKey: 'key' }).generate('Hello', { system: 'Be kind' })).toBe('Hi');
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer key');
+    expect(JSON.parse(request.body).messages).toEqual([{ role: 'system', content: 'Be kind' }, { role: 'user', content: 'Hello' }]);
+
+    const local = stubFetch(reply);
+    await createProvider({ provider: 'openai', baseUrl: 'http://localhost:11434/v1/' }).generate('Hello');
+    expect(local.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+    expect(local.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+  });
+
+  it('streams deltas', async () => {
+    stubFetch(sse({ choices: [{ delta: { content: 'Hi ' } }] }, { choices: [{ delta: {} }] }, { choices: [{ delta: { content: 'there' } }] }), { stream: true });
+    const onText = vi.fn();
+    expect(await createProvider({ provider: 'openai' }).generate('Hello', { onText })).toBe('Hi there');
+    expect(onText).toHaveBeenLastCalledWith('Hi there');
+  });
+
+  it('fails with null when the network is down', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    expect(await createProvider({ provider: 'openai' }).generate('Hello')).toBeNull();
+    console.error.mockRestore();
+  });
+});
+
+describe('mock provider', () => {
+  const mock = () => createProvider({ provider: 'mock', latency: 0 });
+
+  it('moderates deterministically, with a softer rephrase', async () => {
+    const guide = createGuide(mock().generate);
+    expect(await guide.runSafetyCheck('I see this differently.')).toMatchObject({ status: 'approved' });
+    const rejected = await guide.runSafetyCheck('That idea is stupid.');
+    expect(rejected).toMatchObject({ status: 'rejected', category: 'insult', severity: 'medium' });
+    expect(rejected.suggestion).toBe('That idea is hard for me to understand.');
+    expect(await guide.runSafetyCheck('That idea is stupid.')).toEqual(rejected);
+  });
+
+  it('answers each Guide service without a network', async () => {
+    vi.stubGlobal('fetch', vi.fn());
+    const guide = createGuide(mock().generate);
+    expect(await guide.translateText('Hola', 'English')).toBe('[English] Hola');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('streams word by word and stops when cancelled', async () => {
+    const { generate } = mock();
+    const onText = vi.fn();
+    const text = await generate('prompt', { task: 'unknown', onText });
+    expect(text).toBe('This is a mock response from Guide.');
+    expect(onText.mock.calls.length).toBe(text.split(' ').length);
+
+    const controller = new AbortController();
+    controller.abort();
+    expect(await generate('prompt', { task: 'unknown', signal: controller.signal })).toBeNull();
+  });
+});
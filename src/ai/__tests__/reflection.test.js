@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { parseReflection, localReflection, accuracyLevel } from '../reflection.js';
+import { createGuide } from '../guide.js';
+import { readBlock } from '../prompt.js';
+
+const partnerMessages = [
+  { sender: 'B', text: 'My grandmother farmed the same land for forty years, and the drought ruined the harvest.' },
+  { sender: 'B', text: 'Farming families like mine worry about water and about losing the land.' }
+];
+const topic = { id: 'builtin:climate', title: 'Climate Policy' };
+
+describe('parseReflection', () => {
+  it('accepts schema-shaped output wrapped in prose', () => {
+    const result = parseReflection('Here you go: {"accuracy": 82.4, "captured": ["family farm"], "missed": [], "feedback": "You were heard."}');
+    expect(result).toEqual({ accuracy: 82, level: 'accurate', captured: ['family farm'], missed: [], feedback: 'You were heard.', source: 'ai' });
+  });
+
+  it('rejects output that does not match the schema', () => {
+    expect(parseReflection('{"accuracy": "high", "captured": [], "missed": [], "feedback": "ok"}')).toBeNull();
+    expect(parseReflection('{"accuracy": 50, "captured": "farm", "missed": [], "feedback": "ok"}')).toBeNull();
+    expect(parseReflection('{"accuracy": 50, "captured": [], "missed": []}')).toBeNull();
+    expect(parseReflection('not json')).toBeNull();
+  });
+
+  it('clamps accuracy into range', () => {
+    expect(parseReflection({ accuracy: 140, captured: [], missed: [], feedback: 'ok' }).accuracy).toBe(100);
+  });
+});
+
+describe('localReflection', () => {
+  it('scores a faithful reflection above a generic one', () => {
+    const faithful = localReflection('You said your grandmother farmed that land and the drought ruined the harvest, so water worries your family.', partnerMessages);
+    const generic = localReflection('You have strong opinions about this topic.', partnerMessages);
+    expect(faithful.accuracy).toBeGreaterThan(generic.accuracy);
+    expect(faithful.captured).toContain('drought');
+    expect(generic.level).toBe('missed');
+    expect(faithful.source).toBe('local');
+  });
+
+  it('maps accuracy to levels', () => {
+    expect(accuracyLevel(90)).toBe('accurate');
+    expect(accuracyLevel(50)).toBe('partial');
+    expect(accuracyLevel(10)).toBe('missed');
+  });
+});
+
+describe('evaluateReflection', () => {
+  it('sends the reflection and partner messages as delimited data', async () => {
+    let seen;
+    const guide = createGuide(async (prompt, { task }) => {
+      seen = { prompt, task };
+      return JSON.stringify({ accuracy: 70, captured: ['the farm'], missed: ['water'], feedback: 'Mostly heard.' });
+    });
+    const result = await guide.evaluateReflection('You care about the farm.', partnerMessages, topic, 'English');
+
+    expect(seen.task).toBe('reflection');
+    expect(readBlock(seen.prompt, 'REFLECTION')).toBe('You care about the farm.');
+    expect(readBlock(seen.prompt, 'PARTNER_MESSAGES')).toContain('User B: My grandmother');
+    expect(result).toMatchObject({ accuracy: 70, level: 'partial', source: 'ai' });
+  });
+
+  it('falls back to the local estimate when the model is unreachable or malformed', async () => {
+    const offline = createGuide(async () => null);
+    const garbled = createGuide(async () => 'I think they listened well!');
+    expect((await offline.evaluateReflection('The drought hurt your farm.', partnerMessages, topic)).source).toBe('local');
+    expect((await garbled.evaluateReflection('The drought hurt your farm.', partnerMessages, topic)).source).toBe('local');
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { withRetry, isAbortError, AttemptError, parseRetryAfter, createResilientModel } from '../retry.js';
+import { createProvider } from '../providers.js';
+import { createProxyGuide } from '../proxy.js';
+
+const FAST = { timeoutMs: 50, backoffMs: 1 };
+
+// Resolves after `ms` unless its signal aborts first, then resolves to null
+// (the provider contract for a failed call)
+const slowCall = (ms, value) => (signal) => new Promise(resolve => {
+  const timer = setTimeout(() => resolve(value), ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve(null);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries failed attempts and returns the first success', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => (++calls < 3 ? null : 'ok'), { ...FAST, retries: 2 });
+    expect(result).toBe('ok');
+    expect(calls).toBe(3);
+  });
+
+  it('gives up with null after the last retry', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => { calls++; return null; }, { ...FAST, retries: 1 });
+    expect(result).toBeNull();
+    expect(calls).toBe(2);
+  });
+
+  it('times out a hanging attempt and retries it', async () => {
+    let calls = 0;
+    const result = await withRetry((signal) => (++calls === 1 ? slowCall(1000, 'late')(signal) : 'fast'), { ...FAST, retries: 1 });
+    expect(result).toBe('fast');
+  });
+
+  it('rejects with an AbortError when the caller cancels', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    const error = await withRetry(slowCall(1000, 'late'), { timeoutMs: 5000, signal: controller.signal }).catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+  });
+
+  it('treats thrown errors as failed attempts', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      if (++calls === 1) throw new Error('network down');
+      return 'ok';
+    }, { ...FAST, retries: 1 });
+    expect(result).toBe('ok');
+  });
+
+  it('stops at an attempt that says retrying cannot help', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => { calls++; throw new AttemptError('bad request', { retry: false }); }, { ...FAST, retries: 2 });
+    expect(result).toBeNull();
+    expect(calls).toBe(1);
+  });
+
+  it('waits the delay an attempt asks for, giving up when it is too long', async () => {
+    const started = Date.now();
+    let calls = 0;
+    const result = await withRetry(async () => {
+      if (++calls === 1) throw new AttemptError('slow down', { delayMs: 60 });
+      return 'ok';
+    }, { ...FAST, retries: 1 });
+    expect(result).toBe('ok');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(55);
+
+    calls = 0;
+    expect(await withRetry(async () => { calls++; throw new AttemptError('come back tomorrow', { delayMs: 86400000 }); }, FAST)).toBeNull();
+    expect(calls).toBe(1);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'))).toBe(5000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+const respond = (...responses) => {
+  const fetch = vi.fn(async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return new Response(JSON.stringify(next.body), { status: next.status, headers: { 'Content-Type': 'application/json', ...next.headers } });
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+describe('provider retries', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  const ask = () => createResilientModel(createProvider({ provider: 'openai', apiKey: 'key' }).generate, { ...FAST, retries: 2 })('Hello');
+  const reply = { status: 200, body: { choices: [{ message: { content: 'Hi' } }] } };
+
+  it('does not retry a rejected key or request', async () => {
+    for (const status of [401, 403, 400]) {
+      const fetch = respond({ status, body: { error: { message: 'No' } } }, reply);
+      expect(await ask()).toBeNull();
+      expect(fetch).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it('retries network errors and 5xx responses', async () => {
+    const fetch = respond(new TypeError('Failed to fetch'), { status: 503, body: {} }, reply);
+    expect(await ask()).toBe('Hi');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('honours Retry-After on 429', async () => {
+    const fetch = respond({ status: 429, body: {}, headers: { 'Retry-After': '0' } }, reply);
+    expect(await ask()).toBe('Hi');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('proxy retries', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  const translate = () => createProxyGuide('', { requests: { ...FAST, retries: 2 } }).translateText('Hola', 'English');
+
+  it('retries network errors and 5xx responses', async () => {
+    const fetch = respond(new TypeError('Failed to fetch'), { status: 502, body: {} }, { status: 200, body: { result: 'Hello' } });
+    expect(await translate()).toBe('Hello');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry other client errors', async () => {
+    const fetch = respond({ status: 400, body: { error: 'Missing text' } }, { status: 200, body: { result: 'Hello' } });
+    expect(await translate()).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves retrying to the proxy by default', async () => {
+    const fetch = respond({ status: 502, body: {} }, { status: 200, body: { result: 'Hello' } });
+    expect(await createProxyGuide('').translateText('Hola', 'English')).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('honours Retry-After on 429', async () => {
+    const fetch = respond({ status: 429, body: {}, headers: { 'Retry-After': '0' } }, { status: 200, body: { result: 'Hello' } });
+    expect(await translate()).toBe('Hello');
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    const gaveUp = respond({ status: 429, body: {}, headers: { 'Retry-After': '3600' } }, { status: 200, body: { result: 'Hello' } });
+    expect(await translate()).toBeNull();
+    expect(gaveUp).toHaveBeenCalledTimes(1);
+  });
+});
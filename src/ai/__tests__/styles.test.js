@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { FACILITATION_STYLES, VERBOSITY, INTERVENTIONS, getStyle, styleSentences, styleInterventions } from '../styles.js';
+import { createGuide } from '../guide.js';
+
+const topic = { id: 'builtin:climate', title: 'Climate Policy' };
+const phase = { title: 'Stories', goal: 'Share a story' };
+const history = [{ sender: 'A', phase: 1, text: 'My city flooded twice.' }];
+
+// Captures every prompt the services send, system instruction included
+const recordingGuide = () => {
+  const seen = [];
+  const guide = createGuide(async (prompt, { task, system }) => {
+    seen.push({ task, text: `${system}\n${prompt}` });
+    return task === 'safety' ? JSON.stringify({ status: 'approved', category: 'none', severity: 'none', suggestion: null }) : 'ok';
+  });
+  return { guide, seen };
+};
+
+const runAll = async (guide, style) => {
+  await guide.runSafetyCheck('I see this differently.', { style });
+  await guide.generateGuideGuidance(history, phase, { goal: 'Reflect', prompt: 'What did you hear?' }, topic, 'English', { style });
+  await guide.generateGuideAnswer(history, 'What now?', topic, phase, 'English', { style });
+};
+
+describe('facilitation styles', () => {
+  it('define every setting the services and App.jsx read', () => {
+    for (const style of FACILITATION_STYLES) {
+      expect(style.tone).toBeTruthy();
+      expect(VERBOSITY).toHaveProperty(style.verbosity);
+      expect(INTERVENTIONS).toHaveProperty(style.interventions);
+      expect(typeof style.followUps).toBe('boolean');
+    }
+  });
+
+  it('fall back to the default for unknown ids', () => {
+    expect(getStyle('shouting').id).toBe('balanced');
+    expect(getStyle(undefined).id).toBe('balanced');
+  });
+
+  it('step in later and skip airtime nudges with minimal intervention', () => {
+    expect(styleInterventions(getStyle('minimal'))).toEqual({ tensionThreshold: 70, airtimeNudges: false });
+    expect(styleInterventions(getStyle('coaching')).tensionThreshold).toBeLessThan(styleInterventions(getStyle('balanced')).tensionThreshold);
+  });
+});
+
+describe('Guide services with a style', () => {
+  it('write the style\'s tone into the safety check, transitions and answers', async () => {
+    const { guide, seen } = recordingGuide();
+    await runAll(guide, 'socratic');
+    expect(seen.map(s => s.task)).toEqual(['safety', 'transition', 'answer']);
+    for (const { text } of seen) expect(text).toContain(getStyle('socratic').tone);
+  });
+
+  it('set verbosity and follow-ups from the style', async () => {
+    const brief = recordingGuide();
+    await runAll(brief.guide, 'minimal');
+    const [, briefTransition, briefAnswer] = brief.seen;
+    expect(briefTransition.text).toContain(`at most ${styleSentences(getStyle('minimal'), 'transition')} sentences`);
+    expect(briefTransition.text).toContain('no other questions');
+    expect(briefAnswer.text).toContain('at most 1 sentence.');
+
+    const probing = recordingGuide();
+    await runAll(probing.guide, 'socratic');
+    const [, transition, answer] = probing.seen;
+    expect(transition.text).toContain('follow-up to something specific');
+    expect(answer.text).toContain('one short open question');
+  });
+
+  it('never drop the neutrality rule', async () => {
+    for (const style of FACILITATION_STYLES) {
+      const { guide, seen } = recordingGuide();
+      await guide.generateGuideAnswer(history, 'Who is right?', topic, phase, 'English', { style: style.id });
+      expect(seen[0].text).toContain('Do NOT take sides');
+    }
+  });
+});
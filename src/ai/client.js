@@ -0,0 +1,50 @@
+import { createProvider } from './providers.js';
+import { createGuide } from './guide.js';
+import { createProxyGuide } from './proxy.js';
+import { createResilientModel } from './retry.js';
+
+/**
+ * Browser-side AI wiring, picked through Vite env config:
+ *
+ *   VITE_LLM_PROVIDER   proxy | gemini | openai | mock   (default: proxy)
+ *   VITE_API_URL        AI proxy origin (default: same origin, /api)
+ *   VITE_MODERATION_FAIL_CLOSED   set to true to hold messages back when
+ *                       moderation is unreachable (default: fail open)
+ *   VITE_LLM_TIMEOUT_MS per-attempt timeout for Guide requests (default 20000)
+ *   VITE_LLM_RETRIES    extra attempts after a failed or timed-out request (default 2)
+ *                       (direct providers only; the proxy retries the model
+ *                       itself, see LLM_TIMEOUT_MS and LLM_RETRIES there)
+ *   VITE_LLM_TOKEN_BUDGET  estimated tokens of dialogue context per Guide prompt
+ *                       (default 2000; with the proxy, set LLM_TOKEN_BUDGET there)
+ *
+ * The direct providers are for local development only — their key would be
+ * bundled into the app, so production builds go through the proxy in server/.
+ *
+ *   VITE_LLM_MODEL      model name override
+ *   VITE_LLM_BASE_URL   API base URL (e.g. http://localhost:11434/v1 for Ollama)
+ *   VITE_LLM_API_KEY    API key for the chosen provider
+ *   VITE_MOCK_LATENCY   simulated latency for the mock provider, in ms
+ */
+const env = import.meta.env;
+const providerName = env.VITE_LLM_PROVIDER || 'proxy';
+const moderation = { failClosed: env.VITE_MODERATION_FAIL_CLOSED === 'true' };
+const tokenBudget = env.VITE_LLM_TOKEN_BUDGET ? Number(env.VITE_LLM_TOKEN_BUDGET) : undefined;
+const requests = {
+  timeoutMs: env.VITE_LLM_TIMEOUT_MS ? Number(env.VITE_LLM_TIMEOUT_MS) : undefined,
+  retries: env.VITE_LLM_RETRIES !== undefined ? Number(env.VITE_LLM_RETRIES) : undefined
+};
+
+const createBrowserGuide = () => {
+  if (providerName === 'proxy') return createProxyGuide(env.VITE_API_URL, moderation);
+
+  const provider = createProvider({
+    provider: providerName,
+    model: env.VITE_LLM_MODEL,
+    baseUrl: env.VITE_LLM_BASE_URL,
+    apiKey: env.VITE_LLM_API_KEY,
+    latency: env.VITE_MOCK_LATENCY ? Number(env.VITE_MOCK_LATENCY) : undefined
+  });
+  return createGuide(createResilientModel(provider.generate, requests), { ...moderation, tokenBudget });
+};
+
+export const { runSafetyCheck, generateGuideGuidance, generateGuideAnswer, translateText, generateRecap, evaluateReflection, summarizeDialogue } = createBrowserGuide();
@@ -0,0 +1,94 @@
+import { extractJson } from './prompt.js';
+
+/**
+ * Guide's rolling memory of a dialogue. At each phase boundary the phases
+ * that just closed are folded into a structured summary (see
+ * guide.summarizeDialogue), so later prompts carry that summary plus only
+ * the recent turns instead of the whole transcript:
+ *
+ *   memory = {
+ *     summary: {
+ *       A: { values: string[], experiences: string[] },
+ *       B: { values: string[], experiences: string[] },
+ *       divergences: string[]   // Where their views part
+ *     },
+ *     throughPhase              // Last phase the summary covers
+ *   }
+ *
+ * Recent turns are the messages after `throughPhase`, trimmed from the
+ * oldest when the prompt would go over the token budget.
+ */
+
+export const DEFAULT_TOKEN_BUDGET = 2000; // SUMMARY plus TRANSCRIPT, in estimated tokens
+
+const MAX_ITEMS = 6;
+
+// Shown to the model so it knows the exact shape to return
+export const SUMMARY_SCHEMA = `{
+  "A": { "values": string[] (what User A said matters to them), "experiences": string[] (what User A said they lived through) },
+  "B": { "values": string[] (the same for User B), "experiences": string[] },
+  "divergences": string[] (short phrases: where their views differ)
+}`;
+
+// Rough count for budgeting (about four characters per token in English)
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const cleanList = (list) => list.map(s => s.trim()).filter(Boolean).slice(0, MAX_ITEMS);
+
+const parsePerson = (data) => {
+  if (!data || typeof data !== 'object') return null;
+  if (!isStringList(data.values) || !isStringList(data.experiences)) return null;
+  return { values: cleanList(data.values), experiences: cleanList(data.experiences) };
+};
+
+/**
+ * Validates raw model output against SUMMARY_SCHEMA. Returns the normalized
+ * summary, or null when the output doesn't match.
+ */
+export function parseSummary(raw) {
+  const data = typeof raw === 'string' ? extractJson(raw) : raw;
+  if (!data || typeof data !== 'object') return null;
+  const A = parsePerson(data.A);
+  const B = parsePerson(data.B);
+  if (!A || !B || !isStringList(data.divergences)) return null;
+  return { A, B, divergences: cleanList(data.divergences) };
+}
+
+const listLine = (label, items) => `- ${label}: ${items.length ? items.join('; ') : '(none yet)'}`;
+
+// Summaries also arrive in request bodies (see server/), so they're checked again here
+export function formatSummary(raw) {
+  const summary = raw && parseSummary(raw);
+  if (!summary) return '';
+  return [
+    ...['A', 'B'].flatMap(id => [
+      `User ${id}`,
+      listLine('Values', summary[id].values),
+      listLine('Experiences', summary[id].experiences)
+    ]),
+    listLine('Points of divergence', summary.divergences)
+  ].join('\n');
+}
+
+// Messages the summary doesn't cover yet
+export const messagesSince = (history, memory) =>
+  Number.isFinite(memory?.throughPhase) ? history.filter(m => m.phase > memory.throughPhase) : history;
+
+/**
+ * SUMMARY and TRANSCRIPT blocks for a prompt: the summary of earlier phases
+ * and the recent turns, dropping the oldest turns while both together go
+ * over `tokenBudget`. The latest turn is always kept.
+ */
+export function memoryBlocks(history, memory, formatTranscript, tokenBudget = DEFAULT_TOKEN_BUDGET) {
+  const summary = formatSummary(memory?.summary);
+  const recent = summary ? messagesSince(history, memory) : history;
+  let start = 0;
+  let transcript = formatTranscript(recent);
+  while (start < recent.length - 1 && estimateTokens(summary) + estimateTokens(transcript) > tokenBudget) {
+    start++;
+    transcript = `[${start} earlier turns omitted]\n${formatTranscript(recent.slice(start))}`;
+  }
+  return { SUMMARY: summary, TRANSCRIPT: transcript };
+}
@@ -0,0 +1,134 @@
+import { extractJson } from './prompt.js';
+
+/**
+ * Safety moderation results, shared by the Guide services, the AI proxy and
+ * the browser. Every check resolves to:
+ *
+ *   {
+ *     status: 'approved' | 'rejected',
+ *     category: 'none' | 'insult' | 'hostility' | 'dismissiveness' | 'threat' | 'harassment' | 'manipulation' | 'unavailable',
+ *     severity: 'none' | 'low' | 'medium' | 'high',
+ *     title?, message?,          // Feedback for the speaker when rejected
+ *     suggestion?,               // A respectful rephrasing of their message, or null
+ *     source: 'ai' | 'local'     // Who made the call
+ *   }
+ *
+ * 'low' severity is a nudge: the speaker may still send the message as is.
+ */
+
+export const MODERATION_CATEGORIES = ['none', 'insult', 'hostility', 'dismissiveness', 'threat', 'harassment', 'manipulation'];
+export const SEVERITIES = ['none', 'low', 'medium', 'high'];
+
+// Shown to the model so it knows the exact shape to return
+export const MODERATION_SCHEMA = `{
+  "status": "approved" | "rejected",
+  "category": ${MODERATION_CATEGORIES.map(c => `"${c}"`).join(' | ')},
+  "severity": ${SEVERITIES.map(s => `"${s}"`).join(' | ')},
+  "title": string (short heading, required when rejected),
+  "message": string (one or two sentences of feedback, required when rejected),
+  "suggestion": string | null (the message rephrased respectfully, keeping its meaning)
+}`;
+
+export const APPROVED = Object.freeze({ status: 'approved', category: 'none', severity: 'none', suggestion: null });
+
+export const isBlocking = (result) => result.status === 'rejected' && result.severity !== 'low';
+
+// Not about how the speaker treated their partner: the check couldn't run, or the message spoke to Guide
+const UNCOUNTED_CATEGORIES = ['unavailable', 'manipulation'];
+
+/**
+ * Whether a rejection counts against the speaker (their rejection count,
+ * Civility Profile and progress). Uncounted ones still show the feedback.
+ */
+export const countsAgainstSpeaker = (result) => result.status === 'rejected' && !UNCOUNTED_CATEGORIES.includes(result.category);
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validates raw model output against MODERATION_SCHEMA. Returns the
+ * normalized result, or null when the output doesn't match.
+ */
+export function parseModeration(raw) {
+  const data = typeof raw === 'string' ? extractJson(raw) : raw;
+  if (!data || typeof data !== 'object') return null;
+
+  if (data.status === 'approved') return { ...APPROVED, source: 'ai' };
+  if (data.status !== 'rejected') return null;
+
+  if (!MODERATION_CATEGORIES.includes(data.category) || data.category === 'none') return null;
+  if (!SEVERITIES.includes(data.severity) || data.severity === 'none') return null;
+  if (!isText(data.title) || !isText(data.message)) return null;
+  if (data.suggestion != null && typeof data.suggestion !== 'string') return null;
+
+  return {
+    status: 'rejected',
+    category: data.category,
+    severity: data.severity,
+    title: data.title.trim(),
+    message: data.message.trim(),
+    suggestion: isText(data.suggestion) ? data.suggestion.trim() : null,
+    source: 'ai'
+  };
+}
+
+// --- LOCAL PRE-FILTER ---
+// Cheap heuristics that stand in for the model when it's unreachable, and
+// are passed to it as a hint otherwise. Never the verdict while it answers:
+// plain substrings can't tell "I'd never hurt you" from a threat.
+
+const KEYWORD_RULES = [
+  { category: 'threat', severity: 'high', words: ['kill you', 'hurt you', 'watch your back', 'you will pay', 'beat you up'] },
+  { category: 'hostility', severity: 'high', words: ['hate you', 'shut up', 'go to hell', 'screw you'] },
+  { category: 'insult', severity: 'medium', words: ['idiot', 'stupid', 'moron', 'pathetic', 'loser', 'dumb', 'ignorant'] },
+  { category: 'dismissiveness', severity: 'low', words: ['ridiculous', 'nonsense', 'get over it', 'whatever', 'who cares'] }
+];
+
+const FEEDBACK = {
+  threat: { title: 'This sounds threatening', message: 'Threats end the conversation. Try describing what you feel and why instead.' },
+  hostility: { title: "Let's keep it respectful", message: 'This may shut your partner out. Try describing how you feel instead.' },
+  insult: { title: 'Speak to the idea, not the person', message: 'Name-calling makes it hard to be heard. Try saying what you disagree with.' },
+  dismissiveness: { title: 'This may come across as dismissive', message: 'Your partner might feel brushed off. You can still send it, or rephrase.' },
+  shouting: { title: 'This reads as shouting', message: 'All capitals can feel like yelling. You can still send it, or rephrase.' },
+  unavailable: { title: 'Guide is unavailable', message: "Messages can't be checked right now, so they're on hold. Please try again in a moment." }
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const containsPhrase = (text, phrase) => new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'i').test(text);
+
+const isShouting = (text) => {
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  return letters.length >= 12 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7;
+};
+
+const sentenceCase = (text) => {
+  const lower = text.toLowerCase();
+  return lower.charAt(0).toUpperCase() + lower.slice(1);
+};
+
+/**
+ * Keyword and heuristic check. Returns a rejection result, or null when
+ * nothing obvious was found.
+ */
+export function localModeration(text) {
+  for (const rule of KEYWORD_RULES) {
+    if (rule.words.some(word => containsPhrase(text, word))) {
+      return { status: 'rejected', category: rule.category, severity: rule.severity, ...FEEDBACK[rule.category], suggestion: null, source: 'local' };
+    }
+  }
+  if (isShouting(text)) {
+    return { status: 'rejected', category: 'hostility', severity: 'low', ...FEEDBACK.shouting, suggestion: sentenceCase(text), source: 'local' };
+  }
+  return null;
+}
+
+/**
+ * What a check resolves to when the model couldn't give a valid answer:
+ * the local pre-filter's verdict, otherwise approve (fail open) or hold the
+ * message back (fail closed).
+ */
+export function moderationFallback(text, { failClosed = false } = {}) {
+  const local = localModeration(text);
+  if (local) return local;
+  if (!failClosed) return { ...APPROVED, source: 'local' };
+  return { status: 'rejected', category: 'unavailable', severity: 'medium', ...FEEDBACK.unavailable, suggestion: null, source: 'local' };
+}
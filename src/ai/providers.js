@@ -0,0 +1,238 @@
+/**
+ * LLM provider adapters. Every adapter exposes the same shape:
+ *
+ *   { name, generate(prompt, { task, system, signal, onText }) => Promise<string | null> }
+ *
+ * `generate` resolves to the raw model text, or null when the call failed —
+ * the Guide services decide how to fall back. An HTTP error response throws
+ * an AttemptError instead, so retries (see retry.js) skip the ones that
+ * can't succeed, like a bad key or a rejected request. `task` names the calling
+ * service ('safety' | 'transition' | 'answer' | 'translate' | 'recap' | 'reflection' | 'summary') so the mock can answer
+ * deterministically without parsing prompts too much. `system` carries the
+ * system instruction (see prompt.js), kept apart from participant content
+ * wherever the API allows it.
+ *
+ * With `onText`, the adapter uses the API's streaming endpoint and calls
+ * onText(textSoFar) as tokens arrive; it still resolves to the full text.
+ * `signal` aborts the request (see retry.js for timeouts and retries).
+ */
+
+import { readBlock } from './prompt.js';
+import { localReflection } from './reflection.js';
+import { readEventStream } from './sse.js';
+import { sleep, isAbortError, AttemptError, httpAttemptError } from './retry.js';
+
+// Accumulates streamed deltas and reports the running text
+const collect = (onText) => {
+  let text = '';
+  return {
+    add: (delta) => {
+      if (!delta) return;
+      text += delta;
+      onText(text);
+    },
+    get text() { return text; }
+  };
+};
+
+// HTTP errors go on to withRetry, which decides whether they're worth repeating
+const logFailure = (error) => {
+  if (!isAbortError(error)) console.error("AI Network Error:", error);
+};
+
+const failedResponse = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return httpAttemptError(response, 'AI API', data.error?.message || data.error);
+};
+
+// --- GEMINI ---
+
+function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash-preview-09-2025', baseUrl = 'https://generativelanguage.googleapis.com/v1beta' }) {
+  const generate = async (prompt, { system, signal, onText } = {}) => {
+    const method = onText ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    try {
+      const response = await fetch(
+        `${baseUrl}/models/${model}:${method}key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+            contents: [{ role: 'user', parts: [{ text: prompt }] }]
+          }),
+          signal
+        }
+      );
+      if (!response.ok) throw await failedResponse(response);
+      if (onText) {
+        const stream = collect(onText);
+        await readEventStream(response, (chunk) => stream.add(chunk.candidates?.[0]?.content?.parts?.[0]?.text));
+        return stream.text;
+      }
+      const data = await response.json();
+      if (data.error) {
+        console.error("AI API Error:", data.error);
+        return null;
+      }
+      return data.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    } catch (error) {
+      if (error instanceof AttemptError) throw error;
+      logFailure(error);
+      return null;
+    }
+  };
+
+  return { name: 'gemini', generate };
+}
+
+// --- OPENAI-COMPATIBLE (OpenAI, llama.cpp server, Ollama, vLLM...) ---
+
+function createOpenAIProvider({ apiKey, model = 'gpt-4o-mini', baseUrl = 'https://api.openai.com/v1' }) {
+  const generate = async (prompt, { system, signal, onText } = {}) => {
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          // Local servers usually ignore auth, so only send it when configured
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: prompt }
+          ],
+          ...(onText ? { stream: true } : {})
+        }),
+        signal
+      });
+      if (!response.ok) throw await failedResponse(response);
+      if (onText) {
+        const stream = collect(onText);
+        await readEventStream(response, (chunk) => stream.add(chunk.choices?.[0]?.delta?.content));
+        return stream.text;
+      }
+      const data = await response.json();
+      if (data.error) {
+        console.error("AI API Error:", data.error);
+        return null;
+      }
+      return data.choices?.[0]?.message?.content || "";
+    } catch (error) {
+      if (error instanceof AttemptError) throw error;
+      logFailure(error);
+      return null;
+    }
+  };
+
+  return { name: 'openai', generate };
+}
+
+// --- MOCK (offline, deterministic) ---
+
+// Flagged word -> what the mock moderator reports, with a softer replacement for the suggestion
+const MOCK_FLAGGED_WORDS = {
+  'stupid': { category: 'insult', severity: 'medium', softer: 'hard for me to understand' },
+  'idiot': { category: 'insult', severity: 'medium', softer: 'someone I disagree with' },
+  'pathetic': { category: 'insult', severity: 'medium', softer: 'disappointing to me' },
+  'shut up': { category: 'hostility', severity: 'high', softer: 'please let me finish' },
+  'hate you': { category: 'hostility', severity: 'high', softer: 'feel hurt by this' },
+  'ridiculous': { category: 'dismissiveness', severity: 'low', softer: 'surprising to me' }
+};
+
+const quotedAfter = (prompt, label) => prompt.match(new RegExp(`${label}\\s*"([^"]*)"`))?.[1];
+
+const mockResponders = {
+  safety: (prompt) => {
+    const message = readBlock(prompt, 'MESSAGE') || '';
+    const flagged = Object.keys(MOCK_FLAGGED_WORDS).find(w => message.toLowerCase().includes(w));
+    if (!flagged) return JSON.stringify({ status: 'approved', category: 'none', severity: 'none', suggestion: null });
+    const { category, severity, softer } = MOCK_FLAGGED_WORDS[flagged];
+    return JSON.stringify({
+      status: 'rejected',
+      category,
+      severity,
+      title: 'Let\'s keep it respectful',
+      message: `"${flagged}" may come across as ${category === 'dismissiveness' ? 'dismissive' : 'hurtful'}. Try describing how you feel instead.`,
+      suggestion: message.replace(new RegExp(flagged, 'i'), softer)
+    });
+  },
+  transition: (prompt) => {
+    const nextGoal = quotedAfter(prompt, 'The NEXT goal is:') || 'keep exploring together';
+    return `Thank you both for sharing so openly. Let's build on that: ${nextGoal.charAt(0).toLowerCase()}${nextGoal.slice(1)}. User A, would you start?`;
+  },
+  answer: (prompt) => {
+    const phase = prompt.match(/Current Phase:\s*([^\n(]+)/)?.[1]?.trim() || 'this step';
+    return `Right now we're in "${phase}". Take your time and speak from your own experience.`;
+  },
+  recap: (prompt) => {
+    const turns = (readBlock(prompt, 'TRANSCRIPT') || '').split('\n').filter(line => /^User [AB]:/.test(line)).length;
+    return `Across ${turns} contributions, you both came back to what matters most to the people you care about. Your views on the policy still differ, but you recognized each other's good faith.`;
+  },
+  reflection: (prompt) => {
+    // Score with the local estimate, reading partner turns back out of the transcript block
+    const partnerMessages = (readBlock(prompt, 'PARTNER_MESSAGES') || '').split('\n').map(line => ({ text: line.replace(/^User [AB]: /, '') }));
+    const { accuracy, captured, missed } = localReflection(readBlock(prompt, 'REFLECTION') || '', partnerMessages);
+    return JSON.stringify({
+      accuracy,
+      captured,
+      missed,
+      feedback: captured.length ? `Your partner picked up on ${captured.slice(0, 3).join(', ')}.` : 'Your partner put it in their own words; does it match what you meant?'
+    });
+  },
+  summary: (prompt) => {
+    // Each speaker's latest lines stand in for their experiences
+    const lines = (readBlock(prompt, 'TRANSCRIPT') || '').split('\n');
+    const said = (id) => lines.filter(line => line.startsWith(`User ${id}: `)).map(line => line.slice(8, 80)).slice(-3);
+    return JSON.stringify({
+      A: { values: [], experiences: said('A') },
+      B: { values: [], experiences: said('B') },
+      divergences: []
+    });
+  },
+  translate: (prompt) => {
+    const language = prompt.match(/into ([A-Za-z]+)\./)?.[1] || 'English';
+    return `[${language}] ${readBlock(prompt, 'MESSAGE') || ''}`;
+  }
+};
+
+function createMockProvider({ latency = 300 } = {}) {
+  const generate = async (prompt, { task, signal, onText } = {}) => {
+    try {
+      await sleep(latency, signal);
+      const respond = mockResponders[task];
+      const text = respond ? respond(prompt) : "This is a mock response from Guide.";
+      if (!onText) return text;
+
+      // Stream word by word, spread over another `latency`
+      const words = text.split(/(?<= )/);
+      const stream = collect(onText);
+      for (const word of words) {
+        await sleep(latency / words.length, signal);
+        stream.add(word);
+      }
+      return stream.text;
+    } catch (e) {
+      return null; // Aborted
+    }
+  };
+
+  return { name: 'mock', generate };
+}
+
+// --- FACTORY ---
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+export function createProvider({ provider = 'gemini', ...options } = {}) {
+  const factory = PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,79 @@
+import { FALLBACKS } from './guide.js';
+import { withRetry, isAbortError, AttemptError, httpAttemptError } from './retry.js';
+import { readEventStream } from './sse.js';
+
+/**
+ * Guide services backed by the AI proxy in server/. Same signatures as
+ * createGuide(), so App.jsx doesn't care which one it gets.
+ *
+ * Streaming calls ask the proxy for Server-Sent Events: `{ text }` events
+ * carry the reply so far, then a final `{ result }` (or `{ error }`).
+ * The proxy retries the model itself (LLM_TIMEOUT_MS, LLM_RETRIES), so the
+ * browser makes a single attempt by default, waiting long enough for those
+ * retries with the default settings (a safety check can take two model calls
+ * of three 20s attempts each). `requests` overrides that (see retry.js); retried or not, only
+ * network errors and 5xx responses are worth another try, a 429 waits for
+ * its Retry-After, and any other 4xx gives up straight away.
+ */
+export const PROXY_REQUESTS = { retries: 0, timeoutMs: 150000 };
+
+export function createProxyGuide(baseUrl = '', { failClosed = false, requests } = {}) {
+  const attempt = (path, body, onText) => async (signal) => {
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(onText ? { Accept: 'text/event-stream' } : {})
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw httpAttemptError(response, 'Proxy', data.error);
+      }
+      if (onText && response.headers.get('Content-Type')?.startsWith('text/event-stream')) {
+        let result = null;
+        await readEventStream(response, (event) => {
+          if (event.text !== undefined) onText(event.text);
+          if (event.result !== undefined) result = event.result;
+          if (event.error) console.error("AI Proxy Error:", event.error);
+        });
+        return result;
+      }
+      const data = await response.json();
+      return data.result;
+    } catch (error) {
+      if (error instanceof AttemptError) throw error;
+      if (!isAbortError(error)) console.error("AI Network Error:", error);
+      return null;
+    }
+  };
+
+  const post = (path, body, { signal, onText } = {}) =>
+    withRetry(attempt(path, body, onText), { ...PROXY_REQUESTS, ...requests, signal });
+
+  const runSafetyCheck = async (text, { signal, style } = {}) =>
+    await post('safety', { text, style }, { signal }) || FALLBACKS.safety(text, { failClosed });
+
+  const generateGuideGuidance = async (history, currentPhase, nextPhase, topic, language, options) =>
+    await post('transition', { history, currentPhase, nextPhase, topic, language, memory: options?.memory, style: options?.style }, options) || FALLBACKS.transition(nextPhase);
+
+  const generateGuideAnswer = async (history, question, topic, phase, language, options) =>
+    await post('answer', { history, question, topic, phase, language, memory: options?.memory, style: options?.style }, options) || FALLBACKS.answer();
+
+  const translateText = async (text, targetLanguage, { signal } = {}) =>
+    await post('translate', { text, targetLanguage }, { signal }) || FALLBACKS.translate();
+
+  const generateRecap = async (history, topic, language, options) =>
+    await post('recap', { history, topic, language }, options) || FALLBACKS.recap();
+
+  const evaluateReflection = async (reflection, partnerMessages, topic, language, { signal } = {}) =>
+    await post('reflection', { reflection, partnerMessages, topic, language }, { signal }) || FALLBACKS.reflection(reflection, partnerMessages);
+
+  const summarizeDialogue = async (history, previousSummary, topic, { signal } = {}) =>
+    await post('summary', { history, previousSummary, topic }, { signal }) || FALLBACKS.summary();
+
+  return { runSafetyCheck, generateGuideGuidance, generateGuideAnswer, translateText, generateRecap, evaluateReflection, summarizeDialogue };
+}
@@ -0,0 +1,97 @@
+import { extractJson } from './prompt.js';
+
+/**
+ * Active-listening checks for the Perspective Mirror phase: how well a
+ * reflection captures what the partner said earlier. Every check resolves to:
+ *
+ *   {
+ *     accuracy: 0-100,
+ *     level: 'accurate' | 'partial' | 'missed',
+ *     captured: string[],   // Points from the partner that the reflection got
+ *     missed: string[],     // Points it left out or got wrong
+ *     feedback: string,     // One or two sentences for the partner
+ *     source: 'ai' | 'local'
+ *   }
+ *
+ * The partner then confirms or corrects it (see App.jsx); that verdict is
+ * what the Civility Profile trusts most.
+ */
+
+export const REFLECTION_LEVELS = ['accurate', 'partial', 'missed'];
+
+// Shown to the model so it knows the exact shape to return
+export const REFLECTION_SCHEMA = `{
+  "accuracy": number (0-100, how faithfully the reflection captures the partner's points and values),
+  "captured": string[] (short phrases: the partner's points the reflection got right),
+  "missed": string[] (short phrases: the partner's points it left out or distorted),
+  "feedback": string (one or two sentences addressed to the partner about how they were understood)
+}`;
+
+export const accuracyLevel = (accuracy) => accuracy >= 75 ? 'accurate' : accuracy >= 40 ? 'partial' : 'missed';
+
+const clampScore = (n) => Math.max(0, Math.min(100, Math.round(n)));
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validates raw model output against REFLECTION_SCHEMA. Returns the
+ * normalized result, or null when the output doesn't match.
+ */
+export function parseReflection(raw) {
+  const data = typeof raw === 'string' ? extractJson(raw) : raw;
+  if (!data || typeof data !== 'object') return null;
+  if (typeof data.accuracy !== 'number' || Number.isNaN(data.accuracy)) return null;
+  if (!isStringList(data.captured) || !isStringList(data.missed)) return null;
+  if (typeof data.feedback !== 'string' || !data.feedback.trim()) return null;
+
+  const accuracy = clampScore(data.accuracy);
+  return {
+    accuracy,
+    level: accuracyLevel(accuracy),
+    captured: data.captured.map(s => s.trim()).filter(Boolean).slice(0, 5),
+    missed: data.missed.map(s => s.trim()).filter(Boolean).slice(0, 5),
+    feedback: data.feedback.trim(),
+    source: 'ai'
+  };
+}
+
+// --- LOCAL ESTIMATE ---
+// Stands in for the model when it's unreachable: which of the partner's
+// key terms made it into the reflection.
+
+const COMMON_WORDS = new Set([
+  'that', 'this', 'with', 'have', 'from', 'they', 'them', 'their', 'there', 'what', 'when', 'where',
+  'were', 'been', 'about', 'because', 'would', 'could', 'should', 'really', 'think', 'just', 'like',
+  'your', 'yours', 'mine', 'also', 'very', 'much', 'some', 'more', 'than', 'then', 'into', 'over',
+  'said', 'says', 'feel', 'felt', 'heard', 'hear', 'sounds', 'things', 'thing'
+]);
+
+const keyTerms = (text) =>
+  (text.toLowerCase().match(/\p{L}[\p{L}']+/gu) || []).filter(w => w.length >= 4 && !COMMON_WORDS.has(w));
+
+const FEEDBACK = {
+  accurate: 'Your partner picked up most of what you shared.',
+  partial: 'Your partner caught some of what you shared, but not all of it.',
+  missed: "Your partner's reflection didn't pick up much of what you shared."
+};
+
+/**
+ * Term-overlap estimate of a reflection against the partner's messages.
+ */
+export function localReflection(reflection, partnerMessages) {
+  const counts = new Map();
+  partnerMessages.flatMap(m => keyTerms(m.text)).forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+  const terms = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 8).map(([w]) => w);
+  const reflected = new Set(keyTerms(reflection));
+  const captured = terms.filter(w => reflected.has(w));
+  const accuracy = terms.length ? clampScore((captured.length / Math.min(terms.length, 5)) * 100) : 50;
+  const level = accuracyLevel(accuracy);
+  return {
+    accuracy,
+    level,
+    captured,
+    missed: terms.filter(w => !reflected.has(w)).slice(0, 5),
+    feedback: FEEDBACK[level],
+    source: 'local'
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Timeouts, retries and cancellation for model calls.
+ *
+ * `attempt(signal)` resolves to a result, or null when it failed (the same
+ * contract as provider.generate). Each attempt gets its own signal that
+ * aborts on timeout or when the caller's `signal` aborts. Failed attempts
+ * are retried with exponential backoff; a cancelled call rejects with an
+ * AbortError so callers can tell "gave up" from "stopped". An attempt can
+ * throw an AttemptError to stop retrying or to set its own delay.
+ */
+
+export const DEFAULT_TIMEOUT_MS = 20000;
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_BACKOFF_MS = 500;
+export const MAX_RETRY_AFTER_MS = 10000; // Longer server-requested waits give up instead
+
+/**
+ * A failed attempt that knows more than "try again": `retry: false` when
+ * repeating the request can't help (a 4xx), `delayMs` when the server said
+ * how long to wait (Retry-After).
+ */
+export class AttemptError extends Error {
+  constructor(message, { retry = true, delayMs = null } = {}) {
+    super(message);
+    this.name = 'AttemptError';
+    this.retry = retry;
+    this.delayMs = delayMs;
+  }
+}
+
+// Retry-After is either seconds or an HTTP date; null when missing or unreadable
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * The AttemptError for a failed HTTP response: only a 5xx is worth another
+ * try, a 429 after its Retry-After, and any other 4xx (a bad key, a bad
+ * request) never.
+ */
+export function httpAttemptError(response, label, detail) {
+  const message = `${label} answered ${response.status}${detail ? `: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}` : ''}`;
+  if (response.status === 429) return new AttemptError(message, { delayMs: parseRetryAfter(response.headers.get('Retry-After')) });
+  return new AttemptError(message, { retry: response.status >= 500 });
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const abortError = () => new DOMException('The request was cancelled', 'AbortError');
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw abortError();
+};
+
+// setTimeout that wakes up early (and rejects) when `signal` aborts
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export async function withRetry(attempt, { signal, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, backoffMs = DEFAULT_BACKOFF_MS } = {}) {
+  for (let i = 0; ; i++) {
+    throwIfAborted(signal);
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let result = null;
+    let failure = null;
+    try {
+      result = await attempt(controller.signal);
+    } catch (error) {
+      if (error instanceof AttemptError) failure = error;
+      if (!isAbortError(error)) console.error("AI Request Error:", error);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    throwIfAborted(signal);
+    if (result !== null && result !== undefined) return result;
+    if (i >= retries || failure?.retry === false) return null;
+    if (failure?.delayMs > MAX_RETRY_AFTER_MS) return null;
+    console.warn(`AI request failed, retrying (${i + 1}/${retries})`);
+    await sleep(failure?.delayMs ?? backoffMs * 2 ** i, signal);
+  }
+}
+
+/**
+ * Wraps provider.generate so every call gets a timeout and retries. The
+ * caller's `signal` (in the options) cancels the whole call.
+ */
+export const createResilientModel = (generate, config = {}) => (prompt, options = {}) =>
+  withRetry(signal => generate(prompt, { ...options, signal }), { ...config, signal: options.signal });
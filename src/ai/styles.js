@@ -0,0 +1,70 @@
+/**
+ * Facilitation styles: how Guide sounds and how much it steps in. The safety
+ * check, transitions and answers read the style's prompt settings (see
+ * guide.js); App.jsx reads `interventions` for its own nudges.
+ *
+ *   {
+ *     id,
+ *     tone,          // Voice for Guide's own words, as written into the prompts
+ *     verbosity,     // 'brief' | 'standard' | 'detailed' (see VERBOSITY)
+ *     interventions, // 'minimal' | 'standard' | 'frequent' (see INTERVENTIONS)
+ *     followUps      // Whether Guide asks follow-up questions of its own
+ *   }
+ *
+ * Neutrality and the security rules aren't part of a style: Guide never
+ * takes sides, whatever the tone. Services get the style by id, so the
+ * proxy only ever builds prompts from its own copy of this file.
+ */
+
+// Most sentences Guide writes per service
+export const VERBOSITY = {
+  brief: { answer: 1, transition: 2 },
+  standard: { answer: 2, transition: 3 },
+  detailed: { answer: 3, transition: 4 }
+};
+
+// Tension score at which Guide steps in (see lib/tension.js), and whether it invites the quieter person in
+export const INTERVENTIONS = {
+  minimal: { tensionThreshold: 70, airtimeNudges: false },
+  standard: { tensionThreshold: 50, airtimeNudges: true },
+  frequent: { tensionThreshold: 35, airtimeNudges: true }
+};
+
+export const FACILITATION_STYLES = [
+  {
+    id: 'balanced',
+    tone: 'warm, neutral and encouraging',
+    verbosity: 'standard',
+    interventions: 'standard',
+    followUps: false
+  },
+  {
+    id: 'coaching',
+    tone: 'friendly and reassuring, in plain everyday words, like a supportive coach for young people',
+    verbosity: 'standard',
+    interventions: 'frequent',
+    followUps: true
+  },
+  {
+    id: 'socratic',
+    tone: 'curious and probing, like a seminar leader who asks for reasons and examples without judging them',
+    verbosity: 'detailed',
+    interventions: 'standard',
+    followUps: true
+  },
+  {
+    id: 'minimal',
+    tone: 'calm and unobtrusive',
+    verbosity: 'brief',
+    interventions: 'minimal',
+    followUps: false
+  }
+];
+
+export const DEFAULT_STYLE_ID = 'balanced';
+
+export const getStyle = (id) => FACILITATION_STYLES.find(s => s.id === id) || FACILITATION_STYLES[0];
+
+export const styleSentences = (style, service) => VERBOSITY[style.verbosity][service];
+
+export const styleInterventions = (style) => INTERVENTIONS[style.interventions];
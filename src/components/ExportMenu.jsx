@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { generateRecap } from '../ai/client.js';
+import { getLanguage } from '../i18n/index.js';
+import { useOnlineStatus } from '../hooks/useOnlineStatus.js';
+import { EXPORT_FORMATS, buildSessionRecord, insightMessages, downloadSession } from '../lib/exportSession.js';
+
+/**
+ * "Export" button with a format picker. The AI recap is generated on the
+ * first export and reused for the other formats; offline, the export goes
+ * out without one rather than waiting on the model.
+ *
+ * `session` is { id, topic, protocolId, languages, messages, rejections, startedAt }.
+ * `tone` is 'light' on coloured backgrounds (chat header), 'dark' on white cards.
+ */
+export default function ExportMenu({ session, lang, t, tone = 'dark' }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [recap, setRecap] = useState({ messages: null, text: null });
+  const online = useOnlineStatus();
+
+  const handleExport = async (format) => {
+    setIsExporting(true);
+    try {
+      let text = recap.messages === session.messages ? recap.text : null;
+      if (recap.messages !== session.messages && online) {
+        text = await generateRecap(insightMessages(session.messages), session.topic, getLanguage(lang).name);
+        setRecap({ messages: session.messages, text });
+      }
+      downloadSession(buildSessionRecord(session, { recap: text }), format, { t, lang });
+    } finally {
+      setIsExporting(false);
+      setIsOpen(false);
+    }
+  };
+
+  const buttonClass = tone === 'light'
+    ? 'text-white/90 bg-white/20 hover:bg-white/30'
+    : 'text-indigo-700 bg-indigo-50 hover:bg-indigo-100 border-2 border-indigo-200';
+
+  return (
+    <div className="relative">
+      <button onClick={() => setIsOpen(open => !open)} aria-expanded={isOpen} className={`text-xs font-bold px-3 py-1.5 rounded-full flex items-center gap-1 transition-all ${buttonClass}`}>
+        {isExporting ? <Loader2 className="animate-spin" size={12} /> : <Download size={12} />} {t('export.button')}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-48 bg-white rounded-xl shadow-xl border border-slate-200 overflow-hidden z-20 text-left">
+          {EXPORT_FORMATS.map(format => (
+            <button key={format} onClick={() => handleExport(format)} disabled={isExporting} className="w-full px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50">
+              {t(`export.format.${format}`)}
+            </button>
+          ))}
+          <p className="px-4 py-2 text-[10px] text-slate-400 border-t border-slate-100">{t('export.privateNote')}</p>
+        </div>
+      )}
+    </div>
+  );
+}
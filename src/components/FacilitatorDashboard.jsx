@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Mic, Pause, Play, SkipForward, Send, Shield, Clock, Trash2, Sparkles, ArrowLeft, Thermometer } from 'lucide-react';
+import { getFacilitatorStore } from '../lib/facilitatorStore.js';
+import { getProtocol, getPhase, phaseIndex } from '../lib/protocols.js';
+import { tensionLevel } from '../lib/tension.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, createT } from '../i18n/index.js';
+
+const formatElapsed = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = (total % 60).toString().padStart(2, '0');
+  return h ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * Facilitator view (#/facilitator): every dialogue published to the session
+ * store, with controls to post as Guide, pause/resume and skip a phase.
+ * Pass `store` to run it against something other than the browser's local
+ * store (see lib/facilitatorStore.js).
+ */
+export default function FacilitatorDashboard({ store = getFacilitatorStore() }) {
+  const [sessions, setSessions] = useState(() => store.listSessions());
+  const [now, setNow] = useState(Date.now());
+  const [lang, setLang] = useState(DEFAULT_LANGUAGE);
+  const [drafts, setDrafts] = useState({});
+  const t = createT(lang);
+
+  useEffect(() => store.subscribe(() => setSessions(store.listSessions())), [store]);
+
+  // Elapsed time ticks
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const sendGuideMessage = (id) => {
+    const text = drafts[id]?.trim();
+    if (!text) return;
+    store.sendCommand(id, { type: 'guide-message', text, lang });
+    setDrafts(prev => ({ ...prev, [id]: '' }));
+  };
+
+  const active = sessions.filter(s => s.status !== 'finished');
+  const finished = sessions.filter(s => s.status === 'finished');
+
+  const renderSession = (session) => {
+    const protocol = getProtocol(session.protocolId);
+    const phase = getPhase(protocol, session.phase);
+    const isFinished = session.status === 'finished';
+    return (
+      <div key={session.id} className={`bg-white rounded-2xl border-2 p-4 shadow-sm ${session.paused ? 'border-amber-300' : 'border-slate-200'}`}>
+        <div className="flex items-start justify-between gap-3 mb-2">
+          <div>
+            <p className="font-bold text-slate-800">{session.topic}</p>
+            <p className="text-xs text-slate-500">
+              {t('chat.phase', { phase: phaseIndex(protocol, session.phase) + 1, total: protocol.phases.length })} • {phase?.title}
+              {session.remoteCode && <span className="font-mono ml-2">{session.remoteCode}</span>}
+            </p>
+          </div>
+          <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded-full ${isFinished ? 'bg-slate-100 text-slate-500' : session.paused ? 'bg-amber-100 text-amber-700' : 'bg-emerald-100 text-emerald-700'}`}>
+            {t(isFinished ? 'facilitator.finished' : session.paused ? 'facilitator.paused' : 'facilitator.live')}
+          </span>
+        </div>
+
+        <div className="flex flex-wrap gap-4 text-xs text-slate-600 mb-3">
+          {!isFinished && <span>{t('facilitator.turn', { name: t('participant', { id: session.turn }) })}</span>}
+          <span className="flex items-center gap-1"><Shield size={12} /> A {session.rejections?.A || 0} • B {session.rejections?.B || 0}</span>
+          {session.airtime && <span className="flex items-center gap-1"><Mic size={12} /> A {formatElapsed(session.airtime.A * 1000)} • B {formatElapsed(session.airtime.B * 1000)}</span>}
+          {!isFinished && session.tension > 0 && (
+            <span className={`flex items-center gap-1 ${tensionLevel(session.tension, session.tensionThreshold) === 'high' ? 'text-red-600 font-bold' : tensionLevel(session.tension, session.tensionThreshold) === 'rising' ? 'text-amber-600' : ''}`}>
+              <Thermometer size={12} /> {t('facilitator.tension', { score: session.tension })}
+            </span>
+          )}
+          {session.startedAt && <span className="flex items-center gap-1"><Clock size={12} /> {formatElapsed((isFinished ? session.updatedAt : now) - session.startedAt)}</span>}
+        </div>
+
+        {isFinished ? (
+          <button onClick={() => store.removeSession(session.id)} className="text-xs font-semibold text-slate-400 hover:text-red-500 flex items-center gap-1">
+            <Trash2 size={12} /> {t('facilitator.remove')}
+          </button>
+        ) : (
+          <>
+            <div className="flex gap-2 mb-3">
+              <button onClick={() => store.sendCommand(session.id, { type: session.paused ? 'resume' : 'pause' })} className="flex-1 py-2 rounded-xl border-2 border-slate-200 text-xs font-semibold text-slate-600 hover:border-indigo-300 flex items-center justify-center gap-1">
+                {session.paused ? <><Play size={12} /> {t('facilitator.resume')}</> : <><Pause size={12} /> {t('facilitator.pause')}</>}
+              </button>
+              <button onClick={() => store.sendCommand(session.id, { type: 'skip-phase' })} disabled={session.busy} className="flex-1 py-2 rounded-xl border-2 border-slate-200 text-xs font-semibold text-slate-600 hover:border-indigo-300 disabled:opacity-50 disabled:hover:border-slate-200 flex items-center justify-center gap-1">
+                <SkipForward size={12} /> {t('facilitator.skipPhase')}
+              </button>
+            </div>
+            <div className="flex gap-2">
+              <input
+                value={drafts[session.id] || ''}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [session.id]: e.target.value }))}
+                onKeyDown={(e) => e.key === 'Enter' && sendGuideMessage(session.id)}
+                placeholder={t('facilitator.guidePlaceholder')}
+                aria-label={t('facilitator.guidePlaceholder')}
+                className="flex-1 min-w-0 px-3 py-2 rounded-xl border-2 border-slate-200 text-sm focus:border-amber-400 outline-none"
+              />
+              <button onClick={() => sendGuideMessage(session.id)} disabled={!drafts[session.id]?.trim()} aria-label={t('facilitator.sendAsGuide')} className="px-3 rounded-xl bg-amber-500 text-white disabled:opacity-50 hover:bg-amber-600 flex items-center gap-1 text-xs font-bold">
+                <Sparkles size={12} /> <Send size={12} />
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-purple-50 p-6 font-sans text-slate-800">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <a href="#/" className="text-xs font-semibold text-indigo-600 hover:underline flex items-center gap-1 mb-1">
+              <ArrowLeft size={12} /> {t('facilitator.back')}
+            </a>
+            <h1 className="text-2xl font-bold text-slate-800">{t('facilitator.title')}</h1>
+          </div>
+          <select value={lang} onChange={(e) => setLang(e.target.value)} aria-label={t('onboarding.languages')} className="p-2 rounded-xl border-2 border-slate-200 bg-white text-sm font-semibold">
+            {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.label}</option>)}
+          </select>
+        </div>
+
+        {active.length === 0 && (
+          <p className="text-sm text-slate-500 bg-white rounded-2xl border-2 border-dashed border-slate-200 p-6 text-center">{t('facilitator.empty')}</p>
+        )}
+        <div className="grid gap-4 md:grid-cols-2">{active.map(renderSession)}</div>
+
+        {finished.length > 0 && (
+          <>
+            <h2 className="text-sm font-bold text-slate-500 uppercase tracking-wide mt-8 mb-3">{t('facilitator.finishedHeading')}</h2>
+            <div className="grid gap-4 md:grid-cols-2">{finished.map(renderSession)}</div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+import { TrendingUp, TrendingDown, Minus, Flame, Award, Shield, BookOpen } from 'lucide-react';
+
+const TREND_ICONS = { up: TrendingUp, down: TrendingDown, steady: Minus };
+const TREND_COLORS = { up: 'text-emerald-600', down: 'text-amber-600', steady: 'text-slate-400' };
+const TREND_KEYS = ['overall', 'reflectionAccuracy', 'rejections', 'balance'];
+
+// Overall score of each dialogue, oldest first
+const Sparkline = ({ series, label }) => {
+  const points = series.slice(-12);
+  if (points.length < 2) return null;
+  const step = 100 / (points.length - 1);
+  const path = points.map((value, i) => `${(i * step).toFixed(1)},${(30 - value * 0.3).toFixed(1)}`).join(' ');
+  return (
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8" role="img" aria-label={label}>
+      <polyline points={path} fill="none" stroke="currentColor" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+/**
+ * A user profile's progress across dialogues (see lib/progress.js): trends,
+ * streaks and badges, shown under their scores in the Civility Profile.
+ */
+export default function ProgressPanel({ progress, t }) {
+  return (
+    <div className="mt-4 pt-3 border-t border-white/80 space-y-3">
+      <p className="text-xs font-bold text-slate-500 uppercase tracking-wide">{t('progress.title', { count: progress.dialogues })}</p>
+
+      <div className="text-slate-500">
+        <Sparkline series={progress.series} label={t('progress.sparkline', { average: progress.averages.overall })} />
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {TREND_KEYS.filter(key => progress.trends[key]).map(key => {
+          const direction = progress.trends[key];
+          const Icon = TREND_ICONS[direction];
+          return (
+            <div key={key} className="flex items-center gap-1 text-xs text-slate-600">
+              <Icon size={12} className={TREND_COLORS[direction]} aria-hidden="true" />
+              <span>{t(`progress.trend.${key}`)}</span>
+              <span className="sr-only">{t(`progress.${direction}`)}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-slate-600">
+        {progress.weeklyStreak > 0 && <span className="flex items-center gap-1"><Flame size={12} className="text-orange-500" /> {t('progress.weeklyStreak', { count: progress.weeklyStreak })}</span>}
+        {progress.cleanStreak > 0 && <span className="flex items-center gap-1"><Shield size={12} /> {t('progress.cleanStreak', { count: progress.cleanStreak })}</span>}
+        <span className="flex items-center gap-1"><BookOpen size={12} /> {t('progress.topics', { count: progress.topics.length })}</span>
+      </div>
+
+      {progress.badges.length > 0 && (
+        <ul className="flex flex-wrap gap-2" aria-label={t('progress.badges')}>
+          {progress.badges.map(id => (
+            <li key={id} title={t(`badge.${id}.description`)} className="flex items-center gap-1 px-2 py-1 rounded-full bg-amber-100 text-amber-800 text-[10px] font-bold">
+              <Award size={10} /> {t(`badge.${id}`)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
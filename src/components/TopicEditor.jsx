@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+
+/**
+ * Form for a facilitator-made topic: title, description, background facts
+ * and optional per-phase question overrides.
+ */
+export default function TopicEditor({ phases, t, onSave, onCancel }) {
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [facts, setFacts] = useState('');
+  const [prompts, setPrompts] = useState({});
+
+  const handleSave = () => {
+    const overrides = Object.fromEntries(
+      Object.entries(prompts).map(([id, prompt]) => [id, prompt.trim()]).filter(([, prompt]) => prompt)
+    );
+    const factList = facts.split('\n').map(f => f.trim()).filter(Boolean);
+    onSave({
+      title: title.trim(),
+      ...(description.trim() ? { description: description.trim() } : {}),
+      ...(factList.length ? { facts: factList } : {}),
+      ...(Object.keys(overrides).length ? { prompts: overrides } : {})
+    });
+  };
+
+  const fieldClass = "w-full mt-1 p-3 rounded-xl border-2 border-slate-200 text-sm text-slate-700 focus:border-indigo-400 outline-none";
+  const labelClass = "block text-xs font-bold text-slate-600 uppercase tracking-wide";
+
+  return (
+    <div className="text-left bg-slate-50 border-2 border-slate-200 rounded-2xl p-4 space-y-3">
+      <h3 className="text-sm font-bold text-slate-700">{t('topicEditor.heading')}</h3>
+
+      <label className={labelClass}>
+        {t('topicEditor.title')}
+        <input value={title} onChange={(e) => setTitle(e.target.value)} className={fieldClass} />
+      </label>
+
+      <label className={labelClass}>
+        {t('topicEditor.description')}
+        <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={2} placeholder={t('topicEditor.descriptionHint')} className={`${fieldClass} resize-none`} />
+      </label>
+
+      <label className={labelClass}>
+        {t('topicEditor.facts')}
+        <textarea value={facts} onChange={(e) => setFacts(e.target.value)} rows={3} className={`${fieldClass} resize-none`} />
+      </label>
+
+      <details>
+        <summary className={`${labelClass} cursor-pointer`}>{t('topicEditor.prompts')}</summary>
+        <div className="space-y-2 mt-2">
+          {phases.map(phase => (
+            <label key={phase.id} className="block text-[10px] font-semibold text-slate-500">
+              {phase.id}. {phase.title}
+              <input
+                value={prompts[phase.id] || ''}
+                onChange={(e) => setPrompts(prev => ({ ...prev, [phase.id]: e.target.value }))}
+                placeholder={phase.staticPrompt(title || '…')}
+                className={fieldClass}
+              />
+            </label>
+          ))}
+        </div>
+      </details>
+
+      <div className="flex gap-2 pt-1">
+        <button onClick={onCancel} className="flex-1 py-2 rounded-xl border-2 border-slate-200 text-sm font-semibold text-slate-600 hover:border-slate-300">
+          {t('topicEditor.cancel')}
+        </button>
+        <button onClick={handleSave} disabled={!title.trim()} className="flex-1 py-2 rounded-xl bg-indigo-600 text-white text-sm font-semibold disabled:opacity-50 hover:bg-indigo-700">
+          {t('topicEditor.save')}
+        </button>
+      </div>
+    </div>
+  );
+}
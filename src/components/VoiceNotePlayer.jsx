@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, Pause, MessageSquare } from 'lucide-react';
+import { loadAudio } from '../lib/audioStore.js';
+
+const formatTime = (s) => `${Math.floor(s / 60)}:${Math.floor(s % 60).toString().padStart(2, '0')}`;
+
+/**
+ * Player for a recorded voice note. Pass either `blob` (review step, not yet
+ * saved) or `audioId` (sent message, loaded from IndexedDB). `t` is the
+ * reader's catalog translator, for control labels.
+ */
+export default function VoiceNotePlayer({ blob, audioId, duration = 0, transcript, accent = 'indigo', t }) {
+  const [src, setSrc] = useState(null);
+  const [missing, setMissing] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [length, setLength] = useState(duration);
+  const [showTranscript, setShowTranscript] = useState(false);
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    const load = async () => {
+      const source = blob || (audioId ? await loadAudio(audioId) : null);
+      if (cancelled) return;
+      if (!source) { setMissing(true); return; }
+      url = URL.createObjectURL(source);
+      setSrc(url);
+      setMissing(false);
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [blob, audioId]);
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (!audio.paused) {
+      audio.pause();
+      return;
+    }
+    // A file the browser can't decode (or a blocked play) rejects after onPlay may have fired
+    audio.play()?.catch((error) => {
+      console.error("Voice note playback error:", error);
+      setIsPlaying(false);
+    });
+  };
+
+  const handleSeek = (e) => {
+    const value = Number(e.target.value);
+    if (audioRef.current) audioRef.current.currentTime = value;
+    setPosition(value);
+  };
+
+  // MediaRecorder webm files often report Infinity until fully scanned
+  const handleLoadedMetadata = () => {
+    const d = audioRef.current?.duration;
+    if (Number.isFinite(d) && d > 0) setLength(d);
+  };
+
+  const accentClass = accent === 'emerald' ? 'accent-emerald-600 text-emerald-600' : accent === 'amber' ? 'accent-amber-500 text-amber-600' : 'accent-indigo-600 text-indigo-600';
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center gap-2">
+        <button onClick={togglePlay} disabled={!src} aria-label={t(isPlaying ? 'voiceNote.pause' : 'voiceNote.play')} className={`w-8 h-8 shrink-0 rounded-full bg-white/80 flex items-center justify-center shadow-sm disabled:opacity-40 ${accentClass}`}>
+          {isPlaying ? <Pause size={14} fill="currentColor" /> : <Play size={14} fill="currentColor" />}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={length || 0}
+          step={0.1}
+          value={position}
+          onChange={handleSeek}
+          disabled={!src}
+          aria-label={t('voiceNote.position')}
+          aria-valuetext={formatTime(position)}
+          className={`flex-1 min-w-0 h-1 ${accentClass}`}
+        />
+        <span className="text-xs font-mono opacity-60 shrink-0">{formatTime(isPlaying || position ? position : length)}</span>
+        {transcript && (
+          <button onClick={() => setShowTranscript(v => !v)} aria-label={t('voiceNote.transcript')} aria-expanded={showTranscript} className={`shrink-0 opacity-60 hover:opacity-100 ${showTranscript ? accentClass : ''}`}>
+            <MessageSquare size={14} />
+          </button>
+        )}
+      </div>
+
+      {missing && <p className="text-[10px] opacity-50 mt-1">{t('voiceNote.missing')}</p>}
+      {showTranscript && <p className="text-sm mt-2 leading-relaxed">{transcript}</p>}
+
+      {src && (
+        <audio
+          ref={audioRef}
+          src={src}
+          preload="metadata"
+          onLoadedMetadata={handleLoadedMetadata}
+          onTimeUpdate={() => setPosition(audioRef.current.currentTime)}
+          onPlay={() => setIsPlaying(true)}
+          onPause={() => setIsPlaying(false)}
+          onEnded={() => { setIsPlaying(false); setPosition(0); }}
+        />
+      )}
+    </div>
+  );
+}
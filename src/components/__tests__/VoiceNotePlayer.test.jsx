@@ -0,0 +1,29 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react';
+import VoiceNotePlayer from '../VoiceNotePlayer.jsx';
+
+const t = (key) => ({ 'voiceNote.play': 'Play', 'voiceNote.pause': 'Pause' })[key] || key;
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+describe('VoiceNotePlayer', () => {
+  it('goes back to the play button when playback fails', async () => {
+    URL.createObjectURL = () => 'blob:note';
+    URL.revokeObjectURL = () => {};
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockImplementation(function () {
+      this.dispatchEvent(new Event('play'));
+      return Promise.reject(new DOMException('Unsupported source', 'NotSupportedError'));
+    });
+    render(<VoiceNotePlayer blob={new Blob(['x'])} duration={3} t={t} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Play' }));
+    await waitFor(() => expect(console.error).toHaveBeenCalled());
+    expect(screen.getByRole('button', { name: 'Play' })).toBeTruthy();
+  });
+});
@@ -0,0 +1,28 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useAudioRecorder } from '../useAudioRecorder.js';
+
+afterEach(() => {
+  delete window.MediaRecorder;
+  delete navigator.mediaDevices;
+});
+
+describe('useAudioRecorder', () => {
+  it('releases the mic when stopped while permission was still pending', async () => {
+    const track = { stop: vi.fn() };
+    let grant;
+    navigator.mediaDevices = { getUserMedia: () => new Promise(resolve => { grant = resolve; }) };
+    window.MediaRecorder = vi.fn();
+    const { result } = renderHook(() => useAudioRecorder());
+
+    let started;
+    act(() => { started = result.current.start(); });
+    await expect(result.current.stop()).resolves.toBeNull();
+    grant({ getTracks: () => [track] });
+    await started;
+
+    expect(track.stop).toHaveBeenCalled();
+    expect(window.MediaRecorder).not.toHaveBeenCalled();
+  });
+});
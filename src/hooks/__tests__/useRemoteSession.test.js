@@ -0,0 +1,41 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useRemoteSession } from '../useRemoteSession.js';
+
+// Stands in for the browser WebSocket; `receive` plays a frame from the relay
+class FakeSocket {
+  static OPEN = 1;
+  static last = null;
+  constructor() {
+    this.readyState = FakeSocket.OPEN;
+    this.sent = [];
+    FakeSocket.last = this;
+  }
+  send(data) { this.sent.push(JSON.parse(data)); }
+  close() { this.onclose?.(); }
+  receive(data) { this.onmessage({ data }); }
+}
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('useRemoteSession', () => {
+  it('ignores frames it cannot read and keeps handling the ones after', () => {
+    vi.stubGlobal('WebSocket', FakeSocket);
+    const onState = vi.fn();
+    const { result } = renderHook(() => useRemoteSession(onState));
+
+    act(() => result.current.joinRoom('ABC234'));
+    const socket = FakeSocket.last;
+    act(() => socket.onopen());
+    expect(socket.sent[0]).toMatchObject({ type: 'join', code: 'ABC234' });
+
+    act(() => {
+      socket.receive('not json');
+      socket.receive('null');
+      socket.receive(JSON.stringify({ type: 'joined', code: 'ABC234', role: 'B', state: { phase: 2 } }));
+    });
+    expect(result.current).toMatchObject({ status: 'connected', role: 'B', error: null });
+    expect(onState).toHaveBeenCalledWith({ phase: 2 });
+  });
+});
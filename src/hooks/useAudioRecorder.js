@@ -0,0 +1,52 @@
+import { useRef } from 'react';
+
+/**
+ * Records the microphone with MediaRecorder, alongside speech recognition.
+ * `stop()` resolves to the recorded Blob, or null when recording wasn't
+ * possible (no MediaRecorder, mic denied) — the voice note then falls back
+ * to transcript only.
+ */
+export function useAudioRecorder() {
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const attemptRef = useRef(0); // Bumped by every start and stop
+
+  const start = async () => {
+    if (!window.MediaRecorder || !navigator.mediaDevices?.getUserMedia) return;
+    const attempt = ++attemptRef.current;
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      if (attempt !== attemptRef.current) {
+        // Stopped (or restarted) while the mic permission was pending: release it
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      const recorder = new MediaRecorder(stream);
+      chunksRef.current = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunksRef.current.push(event.data);
+      };
+      recorder.start();
+      recorderRef.current = recorder;
+    } catch (error) {
+      console.error("Error starting audio recording:", error);
+      recorderRef.current = null;
+    }
+  };
+
+  const stop = () => new Promise((resolve) => {
+    attemptRef.current++;
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    if (!recorder || recorder.state === 'inactive') return resolve(null);
+
+    recorder.onstop = () => {
+      recorder.stream.getTracks().forEach(track => track.stop());
+      const chunks = chunksRef.current;
+      resolve(chunks.length ? new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }) : null);
+    };
+    recorder.stop();
+  });
+
+  return { start, stop };
+}
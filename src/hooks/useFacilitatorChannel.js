@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import { getFacilitatorStore } from '../lib/facilitatorStore.js';
+
+/**
+ * Connects a running dialogue to the facilitator dashboard: publishes
+ * `summary` whenever it changes and hands queued facilitator commands to
+ * `onCommand`. Pass a null summary to stay off the dashboard (e.g. read-only
+ * history views). Leaving the dialogue, or closing the tab, ends its entry.
+ */
+export function useFacilitatorChannel(summary, onCommand, store = getFacilitatorStore()) {
+  const onCommandRef = useRef(onCommand);
+  onCommandRef.current = onCommand;
+  const sessionId = summary?.id;
+  const serialized = summary ? JSON.stringify(summary) : null;
+
+  useEffect(() => {
+    if (serialized) store.publishSession(JSON.parse(serialized));
+  }, [store, serialized]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    const end = () => store.endSession(sessionId);
+    window.addEventListener('pagehide', end);
+    return () => {
+      window.removeEventListener('pagehide', end);
+      end();
+    };
+  }, [store, sessionId]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    const deliver = () => store.takeCommands(sessionId).forEach(command => onCommandRef.current(command));
+    deliver(); // Anything queued while this tab was closed
+    return store.subscribe(deliver);
+  }, [store, sessionId]);
+}
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Whether the browser believes it has a network connection. `navigator.onLine`
+ * can report true on a dead network, so callers still need their own
+ * fallbacks; false, on the other hand, is reliable.
+ */
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
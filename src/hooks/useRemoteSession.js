@@ -0,0 +1,112 @@
+import { useState, useRef, useEffect } from 'react';
+
+const RELAY_URL = import.meta.env.VITE_RELAY_URL || 'ws://localhost:8788';
+
+const createToken = () => globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Connects this device to the WebSocket relay (server/relay.js) for a
+ * two-device dialogue. `onState` receives the partner's shared state.
+ *
+ * Only the shared dialogue state goes over the wire — anything passed to
+ * `sync` is visible to the other device, so never include private hints.
+ *
+ * Each room gets a fresh seat token, which `reconnect` sends again so the
+ * relay puts this device back in its own seat. `error` is a reason code
+ * ('not-found', 'room-full', 'unreachable', ...) for `remote.error.<code>`.
+ */
+export function useRemoteSession(onState) {
+  const [status, setStatus] = useState('idle'); // 'idle' | 'connecting' | 'waiting' | 'connected' | 'partner-away' | 'disconnected'
+  const [code, setCode] = useState(null);
+  const [role, setRole] = useState(null);
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+  const tokenRef = useRef(null);
+  const onStateRef = useRef(onState);
+  onStateRef.current = onState;
+
+  const connect = (firstMessage) => {
+    socketRef.current?.close();
+    setError(null);
+    setStatus('connecting');
+
+    const socket = new WebSocket(RELAY_URL);
+    socketRef.current = socket;
+
+    socket.onopen = () => socket.send(JSON.stringify(firstMessage));
+
+    socket.onmessage = (event) => {
+      let message;
+      try { message = JSON.parse(event.data); }
+      catch (e) { return; } // Not from our relay; nothing to act on
+      switch (message?.type) {
+        case 'created':
+          setCode(message.code);
+          setRole(message.role);
+          setStatus('waiting');
+          break;
+        case 'joined':
+          setCode(message.code);
+          setRole(message.role);
+          setStatus('connected');
+          if (message.state) onStateRef.current(message.state);
+          break;
+        case 'peer-joined':
+          setStatus('connected');
+          break;
+        case 'peer-left':
+          setStatus('partner-away');
+          break;
+        case 'sync':
+          onStateRef.current(message.state);
+          break;
+        case 'error':
+          setError(message.reason);
+          break;
+        default:
+          break;
+      }
+    };
+
+    socket.onerror = () => setError('unreachable');
+    socket.onclose = () => {
+      // Unexpected drop: keep code and role so the device can rejoin its seat
+      if (socketRef.current === socket) setStatus('disconnected');
+    };
+  };
+
+  const createRoom = () => {
+    tokenRef.current = createToken();
+    connect({ type: 'create', token: tokenRef.current });
+  };
+
+  const joinRoom = (joinCode) => {
+    tokenRef.current = createToken();
+    connect({ type: 'join', code: joinCode, token: tokenRef.current });
+  };
+
+  const reconnect = () => code && connect({ type: 'join', code, token: tokenRef.current });
+
+  const sync = (state) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'sync', state }));
+    }
+  };
+
+  const leave = () => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    socket?.close();
+    setStatus('idle');
+    setCode(null);
+    setRole(null);
+    setError(null);
+    tokenRef.current = null;
+  };
+
+  // Close the socket when the app unmounts
+  useEffect(() => () => socketRef.current?.close(), []);
+
+  return { status, code, role, error, createRoom, joinRoom, reconnect, sync, leave, isRemote: role !== null };
+}
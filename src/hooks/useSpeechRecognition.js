@@ -0,0 +1,75 @@
+import { useState, useRef, useEffect } from 'react';
+import { createSpeechEngine } from '../speech/index.js';
+
+const joinSegments = (...parts) => parts.map(p => p.trim()).filter(Boolean).join(' ');
+
+/**
+ * Custom hook to manage speech recognition through a speech engine
+ * (Web Speech API in browsers, the Capacitor plugin on iOS).
+ *
+ * Finalized segments accumulate for the whole recording, so long answers
+ * spanning several utterances — or engine auto-restarts — keep every
+ * sentence. `onResult` always receives the full transcript so far.
+ *
+ * Problems are reported through state rather than dialogs, so the UI can
+ * offer typing instead: `isSupported` is null until the engine answered,
+ * and `error` is 'unsupported' or 'not-allowed' (microphone denied).
+ * `start()` resolves to false when listening could not begin.
+ */
+export function useSpeechRecognition(onResult, { engine: injectedEngine, lang = 'en-US' } = {}) {
+  const [isListening, setIsListening] = useState(false);
+  const [isSupported, setIsSupported] = useState(null);
+  const [error, setError] = useState(null);
+  const engineRef = useRef(null);
+  const finalRef = useRef('');
+
+  if (!engineRef.current) engineRef.current = injectedEngine || createSpeechEngine();
+
+  useEffect(() => {
+    let cancelled = false;
+    engineRef.current.isAvailable().then(available => {
+      if (!cancelled) setIsSupported(available);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const start = async () => {
+    const engine = engineRef.current;
+    if (!await engine.isAvailable()) {
+      setIsSupported(false);
+      setError('unsupported');
+      return false;
+    }
+
+    setError(null);
+    finalRef.current = '';
+    try {
+      await engine.start({
+        lang,
+        onResult: ({ finalText, interim }) => {
+          if (finalText) finalRef.current = joinSegments(finalRef.current, finalText);
+          onResult(joinSegments(finalRef.current, interim));
+        },
+        onError: ({ code }) => {
+          console.error('Speech recognition error:', code);
+          if (code === 'not-allowed') setError('not-allowed');
+          setIsListening(false);
+        },
+        onEnd: () => setIsListening(false)
+      });
+      setIsListening(true);
+      return true;
+    } catch (error) {
+      console.error("Error starting speech recognition:", error);
+      setIsListening(false);
+      return false;
+    }
+  };
+
+  const stop = async () => {
+    await engineRef.current.stop();
+    setIsListening(false);
+  };
+
+  return { start, stop, isListening, isSupported, error, clearError: () => setError(null) };
+}
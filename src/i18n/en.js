@@ -0,0 +1,255 @@
+export default {
+  'app.name': 'Y Platform',
+  'app.tagline': 'Platform for Better Dialogue',
+  'participant': 'User {id}',
+
+  // Onboarding
+  'onboarding.unfinished': 'Unfinished Dialogue',
+  'onboarding.unfinishedSummary': "{topic} • Phase {phase}/{total} • {name}'s turn",
+  'onboarding.resume': 'Resume dialogue',
+  'onboarding.chooseTopic': 'Choose a Topic',
+  'onboarding.languages': 'Languages',
+  'onboarding.speaks': '{name} speaks',
+  'onboarding.begin': 'Begin Dialogue',
+  'onboarding.twoDevices': 'Two Devices',
+  'onboarding.createRoom': 'Create room for {topic}',
+  'onboarding.aTopic': 'a topic',
+  'onboarding.joinCode': 'Join code',
+  'onboarding.join': 'Join',
+  'onboarding.history': 'Past Dialogues',
+  'onboarding.facilitator': 'Facilitator dashboard',
+  'onboarding.protocol': 'Format',
+
+  // Protocols
+  'protocol.standard.name': 'Six-Phase Dialogue',
+  'protocol.standard.description': 'The full arc: curiosity, context, mirroring, contrast, common ground and reflection.',
+  'protocol.checkin.name': 'Three-Phase Check-in',
+  'protocol.checkin.description': 'A short session: open up, mirror each other, reflect.',
+  'protocol.deep.name': 'Deep Dialogue',
+  'protocol.deep.description': 'All six phases with two turns each, and extra room to share lived context.',
+
+  // Chat
+  'chat.phase': 'Phase {phase}/{total}',
+  'airtime.label': 'Speaking time so far',
+  'chat.guide': 'Guide',
+  'chat.publicClarification': 'Public Clarification from {id}',
+  'chat.voiceQuery': '(Voice Query)',
+  'chat.voiceNote': 'Voice Note',
+  'chat.translatedFrom': 'Translated from {language}',
+  'chat.analyzing': 'Guide is analyzing...',
+  'chat.cancel': 'Cancel',
+  'chat.readOnly': 'This dialogue is finished and opened read-only.',
+  'chat.back': 'Back',
+  'chat.profile': 'Civility Profile',
+
+  // Remote
+  'remote.youAre': 'You are {name} • Code',
+  'remote.status.waiting': 'Waiting for partner...',
+  'remote.status.connected': 'Partner connected',
+  'remote.status.partner-away': 'Partner disconnected',
+  'remote.status.disconnected': 'Offline',
+  'remote.status.connecting': 'Connecting...',
+  'remote.lostTitle': 'Connection to the dialogue was lost',
+  'remote.lostBody': 'Your progress is saved on this device.',
+  'remote.leftTitle': 'Your partner left the dialogue',
+  'remote.leftBody': 'They can rejoin with code {code}.',
+  'remote.reconnect': 'Reconnect',
+  'remote.error.not-found': 'No dialogue found for that code.',
+  'remote.error.room-full': 'This dialogue already has two participants.',
+  'remote.error.not-in-room': 'Not in a dialogue.',
+  'remote.error.invalid-message': 'The relay could not read that message.',
+  'remote.error.unknown-type': 'The relay does not support that request.',
+  'remote.error.unreachable': "Couldn't reach the dialogue relay.",
+
+  // Controls
+  'hint.title': 'Private Hint from Guide',
+  'hint.close': 'Got it, close',
+  'moderation.dismiss': 'Dismiss & Retry',
+  'moderation.useSuggestion': 'Use suggested rephrase',
+  'moderation.sendAnyway': 'Send anyway',
+  'moderation.severity.low': 'Nudge',
+  'moderation.severity.medium': 'Concern',
+  'moderation.severity.high': 'Serious',
+  'record.tapToStop': 'Tap to stop recording',
+  'record.timeWarning': '{seconds}s left in this turn',
+  'record.timeUp': 'Time is up — turns are limited to {limit} in this phase. Review and send what you have.',
+  'turn.yours': 'It is your turn to speak',
+  'turn.other': "It is {name}'s turn to speak",
+  'turn.waiting': 'Listening to your partner...',
+  'record.as': 'Record {name}',
+  'guide.public': 'Public',
+  'guide.private': 'Private',
+  'review.noTranscript': 'No transcription available.',
+  'review.edit': 'Edit transcript',
+  'review.doneEditing': 'Done editing',
+  'review.revert': 'Revert to what was heard',
+  'send.private': 'Get Private Hint from Guide',
+  'send.public': 'Send Public Clarification',
+  'send.as': 'Send as {name}',
+
+  // Guide
+  'guide.welcome': 'Welcome. I am "Guide". I\'ll be facilitating your dialogue on "{topic}". {prompt}',
+  'guide.phase1Prompt': 'To get us started, could you share a personal story? When did "{topic}" start to matter to you personally?',
+  'guide.airtimeNudge': "{name}, we haven't heard as much from you yet. Take your time — what's on your mind?",
+
+  // Topics
+  'topics.starter': 'Starter Topics',
+  'topics.mine': 'My Topics',
+  'topics.new': 'New topic',
+  'topics.import': 'Import pack',
+  'topics.export': 'Export',
+  'topics.delete': 'Remove',
+  'topicEditor.heading': 'New Topic',
+  'topicEditor.title': 'Title',
+  'topicEditor.description': 'Description',
+  'topicEditor.descriptionHint': 'What the dialogue is about, shared with Guide as context',
+  'topicEditor.facts': 'Background facts (one per line)',
+  'topicEditor.prompts': 'Phase questions (optional)',
+  'topicEditor.save': 'Save topic',
+  'topicEditor.cancel': 'Cancel',
+
+  // Civility Profile
+  'profile.title': 'Civility Profile',
+  'profile.complete': 'Your dialogue on {topic} is complete.',
+  'profile.speakingTime': 'Speaking Time',
+  'profile.flaggedNone': 'No messages flagged by Guide',
+  'profile.flaggedOne': '1 message flagged by Guide',
+  'profile.flaggedMany': '{count} messages flagged by Guide',
+  'profile.restart': 'Start New Dialogue',
+  'score.listening': 'Listening',
+  'score.reflecting': 'Reflecting Back',
+  'score.curiosity': 'Curiosity',
+  'score.tone': 'Tone',
+
+  // Export
+  'export.button': 'Export',
+  'export.format.markdown': 'Markdown (.md)',
+  'export.format.json': 'Data (.json)',
+  'export.format.html': 'Printable page (.html)',
+  'export.privateNote': 'Private Guide hints are never included.',
+  'export.recap': 'Shared insights',
+  'export.protocol': 'Format',
+  'export.date': 'Date',
+  'export.toGuide': 'question to Guide',
+
+  // Facilitator dashboard
+  'facilitator.title': 'Facilitator Dashboard',
+  'facilitator.back': 'Back to the app',
+  'facilitator.empty': 'No dialogues running. Dialogues opened in this browser appear here.',
+  'facilitator.finishedHeading': 'Finished',
+  'facilitator.live': 'Live',
+  'facilitator.paused': 'Paused',
+  'facilitator.finished': 'Finished',
+  'facilitator.turn': "{name}'s turn",
+  'facilitator.pause': 'Pause',
+  'facilitator.resume': 'Resume',
+  'facilitator.skipPhase': 'Skip phase',
+  'facilitator.guidePlaceholder': 'Post a message as Guide…',
+  'facilitator.sendAsGuide': 'Send as Guide',
+  'facilitator.remove': 'Remove',
+  'facilitator.pausedTitle': 'Dialogue paused',
+  'facilitator.pausedBody': 'The facilitator has paused the dialogue. You can continue when they resume it.',
+
+  // Listening check (Perspective Mirror)
+  'reflection.heading': 'Listening check: {accuracy}%',
+  'reflection.level.accurate': 'closely understood',
+  'reflection.level.partial': 'partly understood',
+  'reflection.level.missed': 'not quite understood',
+  'reflection.question': 'Did {name} understand you?',
+  'reflection.missed': 'Possibly missed:',
+  'reflection.confirm': "Yes, that's what I meant",
+  'reflection.correct': 'Not quite',
+  'reflection.correctionPlaceholder': 'What did you mean? Put it in a sentence or two.',
+  'reflection.sendCorrection': 'Send clarification',
+  'reflection.waiting': 'Waiting for {name} to confirm…',
+  'reflection.confirmed': '{name} confirmed this is what they meant',
+  'reflection.corrected': '{name} clarified:',
+  'profile.understood': 'Partner confirmed they felt understood',
+  'profile.clarified': 'Partner clarified their view ({count}×)',
+
+  // Offline
+  'offline.title': 'Offline.',
+  'offline.body': 'Messages are checked on this device only, and Guide will reword its questions once you are back online.',
+  'offline.queuedTransition': 'Guide will reword this when the connection returns',
+
+  // Accessibility and typed input
+  'chat.transcript': 'Dialogue',
+  'record.stop': 'Stop recording',
+  'guide.publicLabel': 'Ask Guide publicly, both of you see the answer',
+  'guide.privateLabel': 'Ask Guide privately for a hint only you see',
+  'review.rerecord': 'Discard and record again',
+  'review.discard': 'Discard message',
+  'review.transcriptLabel': 'Transcript of your recording',
+  'input.typeInstead': 'Type instead',
+  'input.typeAs': 'Type for {name}',
+  'input.voiceUnavailable': 'Voice input is not available in this browser. You can type your messages instead.',
+  'input.micDenied': 'Microphone access was denied. Allow it in your browser settings, or type your message instead.',
+  'input.typedMessage': 'Typed message',
+  'input.messageLabel': 'Your message',
+  'input.placeholder': 'Write your message…',
+  'input.sendShortcut': 'Press Control and Enter to send.',
+  'voiceNote.play': 'Play voice note',
+  'voiceNote.pause': 'Pause voice note',
+  'voiceNote.position': 'Playback position',
+  'voiceNote.transcript': 'Show transcript',
+  'voiceNote.missing': "Audio isn't available on this device.",
+
+  // Profiles and progress
+  'onboarding.participants': 'Who is talking?',
+  'onboarding.guest': 'Guest',
+  'onboarding.newProfile': '+ New profile',
+  'onboarding.profileName': 'Name',
+  'progress.title': 'Progress over {count} dialogues',
+  'progress.sparkline': 'Overall score per dialogue, averaging {average}',
+  'progress.trend.overall': 'Overall score',
+  'progress.trend.reflectionAccuracy': 'Reflection accuracy',
+  'progress.trend.rejections': 'Fewer flagged messages',
+  'progress.trend.balance': 'Airtime balance',
+  'progress.up': 'improving',
+  'progress.down': 'slipping',
+  'progress.steady': 'steady',
+  'progress.weeklyStreak': '{count}-week streak',
+  'progress.cleanStreak': 'Dialogues in a row with nothing flagged: {count}',
+  'progress.topics': 'Topics explored: {count}',
+  'progress.badges': 'Badges',
+  'badge.first-dialogue': 'First dialogue',
+  'badge.first-dialogue.description': 'Finished a dialogue',
+  'badge.clean-record': 'Clean record',
+  'badge.clean-record.description': 'Three dialogues in a row with nothing flagged',
+  'badge.good-listener': 'Good listener',
+  'badge.good-listener.description': 'Reflections average 75% accuracy or more',
+  'badge.balanced': 'Balanced',
+  'badge.balanced.description': 'Three dialogues in a row with a fair share of the airtime',
+  'badge.explorer': 'Explorer',
+  'badge.explorer.description': 'Talked through five different topics',
+  'badge.streak': 'Regular',
+  'badge.streak.description': 'A dialogue every week for four weeks',
+
+  // Tension and cooling off
+  'guide.grounding': "Let's pause for a breath. This clearly matters to both of you, and it's fine to feel strongly. Before going on, try to name what you're feeling rather than what the other person did.",
+  'tension.rising': 'Things are getting a little heated. Slowing down can help.',
+  'tension.high': 'Tension is high. Guide suggests a short break.',
+  'tension.offerTitle': 'Take a moment?',
+  'tension.offerBody': 'A {minutes}-minute break can help you both come back to the conversation more calmly.',
+  'tension.takeBreak': 'Break for {minutes} min',
+  'tension.keepGoing': 'Keep going',
+  'tension.breakTitle': 'Cooling-off break',
+  'tension.breakBody': 'Step away from the screen, breathe slowly, and think about what you most want your partner to understand.',
+  'tension.breakLeft': 'Time left in the break',
+  'tension.resume': 'Resume now',
+  'tension.exit': 'Pause and exit',
+  'tension.partnerLeftTitle': '{name} paused the dialogue and left',
+  'tension.partnerLeftBody': 'The dialogue is saved on this device. You can exit too and resume it later.',
+  'facilitator.tension': 'Tension {score}',
+
+  // Facilitation styles
+  'onboarding.style': 'Guide style',
+  'style.balanced.name': 'Balanced',
+  'style.balanced.description': 'Warm and neutral. Guide keeps things moving and steps in when needed.',
+  'style.coaching.name': 'Coaching',
+  'style.coaching.description': 'Friendly and plain-spoken, with follow-up questions and early support. Good for teens and first-timers.',
+  'style.socratic.name': 'Socratic',
+  'style.socratic.description': 'Curious and probing. Guide asks for reasons and examples, as in a seminar or debate.',
+  'style.minimal.name': 'Minimal',
+  'style.minimal.description': 'Short and unobtrusive. Guide only steps in when things really heat up.'
+};
@@ -0,0 +1,255 @@
+export default {
+  'app.name': 'Y Platform',
+  'app.tagline': 'Plataforma para un mejor diálogo',
+  'participant': 'Usuario {id}',
+
+  // Onboarding
+  'onboarding.unfinished': 'Diálogo sin terminar',
+  'onboarding.unfinishedSummary': '{topic} • Fase {phase}/{total} • Turno de {name}',
+  'onboarding.resume': 'Reanudar diálogo',
+  'onboarding.chooseTopic': 'Elige un tema',
+  'onboarding.languages': 'Idiomas',
+  'onboarding.speaks': '{name} habla',
+  'onboarding.begin': 'Comenzar diálogo',
+  'onboarding.twoDevices': 'Dos dispositivos',
+  'onboarding.createRoom': 'Crear sala para {topic}',
+  'onboarding.aTopic': 'un tema',
+  'onboarding.joinCode': 'Código',
+  'onboarding.join': 'Unirse',
+  'onboarding.history': 'Diálogos anteriores',
+  'onboarding.facilitator': 'Panel de facilitación',
+  'onboarding.protocol': 'Formato',
+
+  // Protocols
+  'protocol.standard.name': 'Diálogo en seis fases',
+  'protocol.standard.description': 'El recorrido completo: curiosidad, contexto, reflejo, contraste, puntos en común y reflexión.',
+  'protocol.checkin.name': 'Conversación breve en tres fases',
+  'protocol.checkin.description': 'Una sesión corta: abrirse, reflejarse mutuamente, reflexionar.',
+  'protocol.deep.name': 'Diálogo profundo',
+  'protocol.deep.description': 'Las seis fases con dos turnos cada una y más espacio para compartir experiencias.',
+
+  // Chat
+  'chat.phase': 'Fase {phase}/{total}',
+  'airtime.label': 'Tiempo de palabra hasta ahora',
+  'chat.guide': 'Guía',
+  'chat.publicClarification': 'Aclaración pública de {id}',
+  'chat.voiceQuery': '(Consulta de voz)',
+  'chat.voiceNote': 'Nota de voz',
+  'chat.translatedFrom': 'Traducido del {language}',
+  'chat.analyzing': 'La Guía está analizando...',
+  'chat.cancel': 'Cancelar',
+  'chat.readOnly': 'Este diálogo terminó y se abrió en modo de solo lectura.',
+  'chat.back': 'Volver',
+  'chat.profile': 'Perfil de civismo',
+
+  // Remote
+  'remote.youAre': 'Eres {name} • Código',
+  'remote.status.waiting': 'Esperando a tu pareja...',
+  'remote.status.connected': 'Pareja conectada',
+  'remote.status.partner-away': 'Pareja desconectada',
+  'remote.status.disconnected': 'Sin conexión',
+  'remote.status.connecting': 'Conectando...',
+  'remote.lostTitle': 'Se perdió la conexión con el diálogo',
+  'remote.lostBody': 'Tu progreso está guardado en este dispositivo.',
+  'remote.leftTitle': 'Tu pareja salió del diálogo',
+  'remote.leftBody': 'Puede volver a unirse con el código {code}.',
+  'remote.reconnect': 'Reconectar',
+  'remote.error.not-found': 'No se encontró ningún diálogo con ese código.',
+  'remote.error.room-full': 'Este diálogo ya tiene dos participantes.',
+  'remote.error.not-in-room': 'No estás en un diálogo.',
+  'remote.error.invalid-message': 'El servidor de enlace no pudo leer ese mensaje.',
+  'remote.error.unknown-type': 'El servidor de enlace no admite esa solicitud.',
+  'remote.error.unreachable': 'No se pudo conectar con el servidor de enlace.',
+
+  // Controls
+  'hint.title': 'Pista privada de la Guía',
+  'hint.close': 'Entendido, cerrar',
+  'moderation.dismiss': 'Descartar y reintentar',
+  'moderation.useSuggestion': 'Usar la reformulación sugerida',
+  'moderation.sendAnyway': 'Enviar de todos modos',
+  'moderation.severity.low': 'Sugerencia',
+  'moderation.severity.medium': 'Atención',
+  'moderation.severity.high': 'Grave',
+  'record.tapToStop': 'Toca para dejar de grabar',
+  'record.timeWarning': 'Quedan {seconds} s en este turno',
+  'record.timeUp': 'Se acabó el tiempo: en esta fase los turnos duran como máximo {limit}. Revisa y envía lo que tienes.',
+  'turn.yours': 'Es tu turno de hablar',
+  'turn.other': 'Es el turno de {name}',
+  'turn.waiting': 'Escuchando a tu pareja...',
+  'record.as': 'Grabar a {name}',
+  'guide.public': 'Pública',
+  'guide.private': 'Privada',
+  'review.noTranscript': 'No hay transcripción disponible.',
+  'review.edit': 'Editar transcripción',
+  'review.doneEditing': 'Listo',
+  'review.revert': 'Volver a lo que se escuchó',
+  'send.private': 'Pedir una pista privada',
+  'send.public': 'Enviar aclaración pública',
+  'send.as': 'Enviar como {name}',
+
+  // Guide
+  'guide.welcome': 'Bienvenidos. Soy "Guía" y voy a facilitar su diálogo sobre "{topic}". {prompt}',
+  'guide.phase1Prompt': 'Para empezar, ¿podrían compartir una historia personal? ¿Cuándo empezó a importarles "{topic}"?',
+  'guide.airtimeNudge': '{name}, aún no te hemos escuchado tanto. Tómate tu tiempo: ¿qué piensas?',
+
+  // Topics
+  'topics.starter': 'Temas iniciales',
+  'topics.mine': 'Mis temas',
+  'topics.new': 'Nuevo tema',
+  'topics.import': 'Importar paquete',
+  'topics.export': 'Exportar',
+  'topics.delete': 'Quitar',
+  'topicEditor.heading': 'Nuevo tema',
+  'topicEditor.title': 'Título',
+  'topicEditor.description': 'Descripción',
+  'topicEditor.descriptionHint': 'De qué trata el diálogo; la Guía lo usa como contexto',
+  'topicEditor.facts': 'Datos de contexto (uno por línea)',
+  'topicEditor.prompts': 'Preguntas por fase (opcional)',
+  'topicEditor.save': 'Guardar tema',
+  'topicEditor.cancel': 'Cancelar',
+
+  // Civility Profile
+  'profile.title': 'Perfil de civismo',
+  'profile.complete': 'Su diálogo sobre {topic} ha terminado.',
+  'profile.speakingTime': 'Tiempo de palabra',
+  'profile.flaggedNone': 'Ningún mensaje señalado por la Guía',
+  'profile.flaggedOne': '1 mensaje señalado por la Guía',
+  'profile.flaggedMany': '{count} mensajes señalados por la Guía',
+  'profile.restart': 'Nuevo diálogo',
+  'score.listening': 'Escucha',
+  'score.reflecting': 'Reflejo',
+  'score.curiosity': 'Curiosidad',
+  'score.tone': 'Tono',
+
+  // Export
+  'export.button': 'Exportar',
+  'export.format.markdown': 'Markdown (.md)',
+  'export.format.json': 'Datos (.json)',
+  'export.format.html': 'Página imprimible (.html)',
+  'export.privateNote': 'Las pistas privadas de la Guía nunca se incluyen.',
+  'export.recap': 'Ideas compartidas',
+  'export.protocol': 'Formato',
+  'export.date': 'Fecha',
+  'export.toGuide': 'pregunta a la Guía',
+
+  // Facilitator dashboard
+  'facilitator.title': 'Panel de facilitación',
+  'facilitator.back': 'Volver a la aplicación',
+  'facilitator.empty': 'No hay diálogos en curso. Los diálogos abiertos en este navegador aparecen aquí.',
+  'facilitator.finishedHeading': 'Terminados',
+  'facilitator.live': 'En curso',
+  'facilitator.paused': 'En pausa',
+  'facilitator.finished': 'Terminado',
+  'facilitator.turn': 'Turno de {name}',
+  'facilitator.pause': 'Pausar',
+  'facilitator.resume': 'Reanudar',
+  'facilitator.skipPhase': 'Saltar fase',
+  'facilitator.guidePlaceholder': 'Publicar un mensaje como la Guía…',
+  'facilitator.sendAsGuide': 'Enviar como la Guía',
+  'facilitator.remove': 'Quitar',
+  'facilitator.pausedTitle': 'Diálogo en pausa',
+  'facilitator.pausedBody': 'La persona facilitadora ha pausado el diálogo. Podréis continuar cuando lo reanude.',
+
+  // Listening check (Perspective Mirror)
+  'reflection.heading': 'Comprobación de escucha: {accuracy}%',
+  'reflection.level.accurate': 'bien entendido',
+  'reflection.level.partial': 'entendido en parte',
+  'reflection.level.missed': 'no del todo entendido',
+  'reflection.question': '¿Te ha entendido {name}?',
+  'reflection.missed': 'Quizá se le escapó:',
+  'reflection.confirm': 'Sí, es lo que quería decir',
+  'reflection.correct': 'No exactamente',
+  'reflection.correctionPlaceholder': '¿Qué querías decir? Explícalo en una o dos frases.',
+  'reflection.sendCorrection': 'Enviar aclaración',
+  'reflection.waiting': 'Esperando a que {name} lo confirme…',
+  'reflection.confirmed': '{name} confirmó que es lo que quería decir',
+  'reflection.corrected': '{name} aclaró:',
+  'profile.understood': 'Su pareja de diálogo confirmó sentirse entendida',
+  'profile.clarified': 'Su pareja de diálogo aclaró su punto de vista ({count}×)',
+
+  // Offline
+  'offline.title': 'Sin conexión.',
+  'offline.body': 'Los mensajes solo se revisan en este dispositivo, y la Guía reformulará sus preguntas cuando vuelva la conexión.',
+  'offline.queuedTransition': 'La Guía reformulará esto cuando vuelva la conexión',
+
+  // Accessibility and typed input
+  'chat.transcript': 'Diálogo',
+  'record.stop': 'Detener la grabación',
+  'guide.publicLabel': 'Preguntar a la Guía en público; ambos veis la respuesta',
+  'guide.privateLabel': 'Pedir a la Guía una pista privada que solo ves tú',
+  'review.rerecord': 'Descartar y grabar de nuevo',
+  'review.discard': 'Descartar el mensaje',
+  'review.transcriptLabel': 'Transcripción de tu grabación',
+  'input.typeInstead': 'Escribir en su lugar',
+  'input.typeAs': 'Escribir por {name}',
+  'input.voiceUnavailable': 'La entrada de voz no está disponible en este navegador. Puedes escribir tus mensajes.',
+  'input.micDenied': 'Se denegó el acceso al micrófono. Permítelo en la configuración del navegador o escribe tu mensaje.',
+  'input.typedMessage': 'Mensaje escrito',
+  'input.messageLabel': 'Tu mensaje',
+  'input.placeholder': 'Escribe tu mensaje…',
+  'input.sendShortcut': 'Pulsa Control y Intro para enviar.',
+  'voiceNote.play': 'Reproducir la nota de voz',
+  'voiceNote.pause': 'Pausar la nota de voz',
+  'voiceNote.position': 'Posición de reproducción',
+  'voiceNote.transcript': 'Mostrar la transcripción',
+  'voiceNote.missing': 'El audio no está disponible en este dispositivo.',
+
+  // Profiles and progress
+  'onboarding.participants': '¿Quién conversa?',
+  'onboarding.guest': 'Invitado',
+  'onboarding.newProfile': '+ Nuevo perfil',
+  'onboarding.profileName': 'Nombre',
+  'progress.title': 'Progreso en {count} diálogos',
+  'progress.sparkline': 'Puntuación global por diálogo, con una media de {average}',
+  'progress.trend.overall': 'Puntuación global',
+  'progress.trend.reflectionAccuracy': 'Precisión al reflejar',
+  'progress.trend.rejections': 'Menos mensajes señalados',
+  'progress.trend.balance': 'Equilibrio del tiempo de palabra',
+  'progress.up': 'mejorando',
+  'progress.down': 'empeorando',
+  'progress.steady': 'estable',
+  'progress.weeklyStreak': 'Racha de {count} semanas',
+  'progress.cleanStreak': 'Diálogos seguidos sin mensajes señalados: {count}',
+  'progress.topics': 'Temas explorados: {count}',
+  'progress.badges': 'Insignias',
+  'badge.first-dialogue': 'Primer diálogo',
+  'badge.first-dialogue.description': 'Terminaste un diálogo',
+  'badge.clean-record': 'Historial limpio',
+  'badge.clean-record.description': 'Tres diálogos seguidos sin mensajes señalados',
+  'badge.good-listener': 'Buen oyente',
+  'badge.good-listener.description': 'Tus reflejos tienen una precisión media del 75 % o más',
+  'badge.balanced': 'Equilibrio',
+  'badge.balanced.description': 'Tres diálogos seguidos con un reparto justo del tiempo de palabra',
+  'badge.explorer': 'Explorador',
+  'badge.explorer.description': 'Conversaste sobre cinco temas distintos',
+  'badge.streak': 'Constancia',
+  'badge.streak.description': 'Un diálogo cada semana durante cuatro semanas',
+
+  // Tension and cooling off
+  'guide.grounding': 'Hagamos una pausa para respirar. Está claro que esto os importa a los dos, y es normal sentirlo con fuerza. Antes de seguir, intentad nombrar lo que sentís en lugar de lo que hizo la otra persona.',
+  'tension.rising': 'La conversación se está acalorando. Ir más despacio puede ayudar.',
+  'tension.high': 'La tensión es alta. La Guía propone una pausa breve.',
+  'tension.offerTitle': '¿Os tomáis un momento?',
+  'tension.offerBody': 'Una pausa de {minutes} minutos puede ayudaros a volver a la conversación con más calma.',
+  'tension.takeBreak': 'Pausa de {minutes} min',
+  'tension.keepGoing': 'Seguir',
+  'tension.breakTitle': 'Pausa para calmarse',
+  'tension.breakBody': 'Apártate de la pantalla, respira despacio y piensa en qué es lo que más quieres que tu pareja de diálogo entienda.',
+  'tension.breakLeft': 'Tiempo restante de la pausa',
+  'tension.resume': 'Reanudar ahora',
+  'tension.exit': 'Pausar y salir',
+  'tension.partnerLeftTitle': '{name} pausó el diálogo y salió',
+  'tension.partnerLeftBody': 'El diálogo está guardado en este dispositivo. Puedes salir también y retomarlo más tarde.',
+  'facilitator.tension': 'Tensión {score}',
+
+  // Facilitation styles
+  'onboarding.style': 'Estilo de la Guía',
+  'style.balanced.name': 'Equilibrado',
+  'style.balanced.description': 'Cálido y neutral. La Guía mantiene el ritmo e interviene cuando hace falta.',
+  'style.coaching.name': 'Acompañamiento',
+  'style.coaching.description': 'Cercano y sencillo, con preguntas de seguimiento y apoyo temprano. Ideal para adolescentes y principiantes.',
+  'style.socratic.name': 'Socrático',
+  'style.socratic.description': 'Curioso e indagador. La Guía pide razones y ejemplos, como en un seminario o debate.',
+  'style.minimal.name': 'Mínimo',
+  'style.minimal.description': 'Breve y discreto. La Guía solo interviene cuando los ánimos se caldean de verdad.'
+};
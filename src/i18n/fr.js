@@ -0,0 +1,255 @@
+export default {
+  'app.name': 'Y Platform',
+  'app.tagline': 'Plateforme pour un meilleur dialogue',
+  'participant': 'Utilisateur {id}',
+
+  // Onboarding
+  'onboarding.unfinished': 'Dialogue inachevé',
+  'onboarding.unfinishedSummary': '{topic} • Phase {phase}/{total} • Au tour de {name}',
+  'onboarding.resume': 'Reprendre le dialogue',
+  'onboarding.chooseTopic': 'Choisissez un sujet',
+  'onboarding.languages': 'Langues',
+  'onboarding.speaks': '{name} parle',
+  'onboarding.begin': 'Commencer le dialogue',
+  'onboarding.twoDevices': 'Deux appareils',
+  'onboarding.createRoom': 'Créer une salle pour {topic}',
+  'onboarding.aTopic': 'un sujet',
+  'onboarding.joinCode': 'Code',
+  'onboarding.join': 'Rejoindre',
+  'onboarding.history': 'Dialogues passés',
+  'onboarding.facilitator': "Tableau de bord de l'animation",
+  'onboarding.protocol': 'Format',
+
+  // Protocols
+  'protocol.standard.name': 'Dialogue en six phases',
+  'protocol.standard.description': 'Le parcours complet : curiosité, contexte, reformulation, contraste, terrain commun et réflexion.',
+  'protocol.checkin.name': 'Point rapide en trois phases',
+  'protocol.checkin.description': "Une séance courte : s'ouvrir, se reformuler mutuellement, réfléchir.",
+  'protocol.deep.name': 'Dialogue approfondi',
+  'protocol.deep.description': 'Les six phases avec deux tours chacune, et plus de place pour partager son vécu.',
+
+  // Chat
+  'chat.phase': 'Phase {phase}/{total}',
+  'airtime.label': 'Temps de parole jusqu\'ici',
+  'chat.guide': 'Guide',
+  'chat.publicClarification': 'Question publique de {id}',
+  'chat.voiceQuery': '(Question vocale)',
+  'chat.voiceNote': 'Note vocale',
+  'chat.translatedFrom': 'Traduit de l\'{language}',
+  'chat.analyzing': 'Le Guide analyse...',
+  'chat.cancel': 'Annuler',
+  'chat.readOnly': 'Ce dialogue est terminé et ouvert en lecture seule.',
+  'chat.back': 'Retour',
+  'chat.profile': 'Profil de civilité',
+
+  // Remote
+  'remote.youAre': 'Vous êtes {name} • Code',
+  'remote.status.waiting': 'En attente du partenaire...',
+  'remote.status.connected': 'Partenaire connecté',
+  'remote.status.partner-away': 'Partenaire déconnecté',
+  'remote.status.disconnected': 'Hors ligne',
+  'remote.status.connecting': 'Connexion...',
+  'remote.lostTitle': 'La connexion au dialogue a été perdue',
+  'remote.lostBody': 'Votre progression est enregistrée sur cet appareil.',
+  'remote.leftTitle': 'Votre partenaire a quitté le dialogue',
+  'remote.leftBody': 'Il peut revenir avec le code {code}.',
+  'remote.reconnect': 'Se reconnecter',
+  'remote.error.not-found': 'Aucun dialogue ne correspond à ce code.',
+  'remote.error.room-full': 'Ce dialogue a déjà deux participants.',
+  'remote.error.not-in-room': "Vous n'êtes dans aucun dialogue.",
+  'remote.error.invalid-message': "Le relais n'a pas pu lire ce message.",
+  'remote.error.unknown-type': 'Le relais ne prend pas en charge cette demande.',
+  'remote.error.unreachable': 'Impossible de joindre le relais du dialogue.',
+
+  // Controls
+  'hint.title': 'Conseil privé du Guide',
+  'hint.close': 'Compris, fermer',
+  'moderation.dismiss': 'Ignorer et réessayer',
+  'moderation.useSuggestion': 'Utiliser la reformulation suggérée',
+  'moderation.sendAnyway': 'Envoyer quand même',
+  'moderation.severity.low': 'Suggestion',
+  'moderation.severity.medium': 'Attention',
+  'moderation.severity.high': 'Grave',
+  'record.tapToStop': 'Touchez pour arrêter',
+  'record.timeWarning': 'Encore {seconds} s pour ce tour',
+  'record.timeUp': 'Temps écoulé : dans cette phase, les tours durent au plus {limit}. Relisez et envoyez ce que vous avez.',
+  'turn.yours': 'C\'est à vous de parler',
+  'turn.other': 'C\'est au tour de {name}',
+  'turn.waiting': 'Écoute de votre partenaire...',
+  'record.as': 'Enregistrer {name}',
+  'guide.public': 'Public',
+  'guide.private': 'Privé',
+  'review.noTranscript': 'Aucune transcription disponible.',
+  'review.edit': 'Modifier la transcription',
+  'review.doneEditing': 'Terminé',
+  'review.revert': 'Revenir à ce qui a été entendu',
+  'send.private': 'Demander un conseil privé',
+  'send.public': 'Envoyer la question publique',
+  'send.as': 'Envoyer en tant que {name}',
+
+  // Guide
+  'guide.welcome': 'Bienvenue. Je suis « Guide » et j\'anime votre dialogue sur « {topic} ». {prompt}',
+  'guide.phase1Prompt': 'Pour commencer, pourriez-vous partager une histoire personnelle ? Quand « {topic} » a-t-il commencé à compter pour vous ?',
+  'guide.airtimeNudge': "{name}, nous vous avons encore peu entendu. Prenez votre temps : qu'avez-vous en tête ?",
+
+  // Topics
+  'topics.starter': 'Sujets de départ',
+  'topics.mine': 'Mes sujets',
+  'topics.new': 'Nouveau sujet',
+  'topics.import': 'Importer un paquet',
+  'topics.export': 'Exporter',
+  'topics.delete': 'Retirer',
+  'topicEditor.heading': 'Nouveau sujet',
+  'topicEditor.title': 'Titre',
+  'topicEditor.description': 'Description',
+  'topicEditor.descriptionHint': 'Le sujet du dialogue, transmis au Guide comme contexte',
+  'topicEditor.facts': 'Faits de contexte (un par ligne)',
+  'topicEditor.prompts': 'Questions par phase (facultatif)',
+  'topicEditor.save': 'Enregistrer',
+  'topicEditor.cancel': 'Annuler',
+
+  // Civility Profile
+  'profile.title': 'Profil de civilité',
+  'profile.complete': 'Votre dialogue sur {topic} est terminé.',
+  'profile.speakingTime': 'Temps de parole',
+  'profile.flaggedNone': 'Aucun message signalé par le Guide',
+  'profile.flaggedOne': '1 message signalé par le Guide',
+  'profile.flaggedMany': '{count} messages signalés par le Guide',
+  'profile.restart': 'Nouveau dialogue',
+  'score.listening': 'Écoute',
+  'score.reflecting': 'Reformulation',
+  'score.curiosity': 'Curiosité',
+  'score.tone': 'Ton',
+
+  // Export
+  'export.button': 'Exporter',
+  'export.format.markdown': 'Markdown (.md)',
+  'export.format.json': 'Données (.json)',
+  'export.format.html': 'Page imprimable (.html)',
+  'export.privateNote': 'Les conseils privés du Guide ne sont jamais inclus.',
+  'export.recap': 'Points communs',
+  'export.protocol': 'Format',
+  'export.date': 'Date',
+  'export.toGuide': 'question au Guide',
+
+  // Facilitator dashboard
+  'facilitator.title': "Tableau de bord de l'animation",
+  'facilitator.back': "Retour à l'application",
+  'facilitator.empty': 'Aucun dialogue en cours. Les dialogues ouverts dans ce navigateur apparaissent ici.',
+  'facilitator.finishedHeading': 'Terminés',
+  'facilitator.live': 'En cours',
+  'facilitator.paused': 'En pause',
+  'facilitator.finished': 'Terminé',
+  'facilitator.turn': 'Au tour de {name}',
+  'facilitator.pause': 'Pause',
+  'facilitator.resume': 'Reprendre',
+  'facilitator.skipPhase': 'Passer la phase',
+  'facilitator.guidePlaceholder': 'Publier un message en tant que Guide…',
+  'facilitator.sendAsGuide': 'Envoyer en tant que Guide',
+  'facilitator.remove': 'Retirer',
+  'facilitator.pausedTitle': 'Dialogue en pause',
+  'facilitator.pausedBody': "L'animateur ou l'animatrice a mis le dialogue en pause. Vous pourrez continuer à la reprise.",
+
+  // Listening check (Perspective Mirror)
+  'reflection.heading': "Vérification d'écoute : {accuracy} %",
+  'reflection.level.accurate': 'bien compris',
+  'reflection.level.partial': 'en partie compris',
+  'reflection.level.missed': 'pas tout à fait compris',
+  'reflection.question': '{name} vous a-t-il bien compris ?',
+  'reflection.missed': 'Peut-être manqué :',
+  'reflection.confirm': "Oui, c'est ce que je voulais dire",
+  'reflection.correct': 'Pas tout à fait',
+  'reflection.correctionPlaceholder': "Que vouliez-vous dire ? Dites-le en une ou deux phrases.",
+  'reflection.sendCorrection': 'Envoyer la précision',
+  'reflection.waiting': 'En attente de la confirmation de {name}…',
+  'reflection.confirmed': "{name} a confirmé que c'est ce qu'il voulait dire",
+  'reflection.corrected': '{name} a précisé :',
+  'profile.understood': "Le ou la partenaire s'est senti·e compris·e",
+  'profile.clarified': 'Le ou la partenaire a précisé son point de vue ({count}×)',
+
+  // Offline
+  'offline.title': 'Hors ligne.',
+  'offline.body': 'Les messages ne sont vérifiés que sur cet appareil, et le Guide reformulera ses questions au retour de la connexion.',
+  'offline.queuedTransition': 'Le Guide reformulera ceci au retour de la connexion',
+
+  // Accessibility and typed input
+  'chat.transcript': 'Dialogue',
+  'record.stop': "Arrêter l'enregistrement",
+  'guide.publicLabel': 'Poser une question publique au Guide ; vous voyez tous deux la réponse',
+  'guide.privateLabel': 'Demander au Guide un conseil privé que vous seul voyez',
+  'review.rerecord': 'Supprimer et réenregistrer',
+  'review.discard': 'Supprimer le message',
+  'review.transcriptLabel': 'Transcription de votre enregistrement',
+  'input.typeInstead': 'Écrire plutôt',
+  'input.typeAs': 'Écrire pour {name}',
+  'input.voiceUnavailable': "La saisie vocale n'est pas disponible dans ce navigateur. Vous pouvez écrire vos messages.",
+  'input.micDenied': "L'accès au micro a été refusé. Autorisez-le dans les réglages du navigateur, ou écrivez votre message.",
+  'input.typedMessage': 'Message écrit',
+  'input.messageLabel': 'Votre message',
+  'input.placeholder': 'Écrivez votre message…',
+  'input.sendShortcut': 'Appuyez sur Contrôle et Entrée pour envoyer.',
+  'voiceNote.play': 'Écouter la note vocale',
+  'voiceNote.pause': 'Mettre la note vocale en pause',
+  'voiceNote.position': 'Position de lecture',
+  'voiceNote.transcript': 'Afficher la transcription',
+  'voiceNote.missing': "L'audio n'est pas disponible sur cet appareil.",
+
+  // Profiles and progress
+  'onboarding.participants': 'Qui dialogue ?',
+  'onboarding.guest': 'Invité',
+  'onboarding.newProfile': '+ Nouveau profil',
+  'onboarding.profileName': 'Nom',
+  'progress.title': 'Progrès sur {count} dialogues',
+  'progress.sparkline': 'Score global par dialogue, en moyenne {average}',
+  'progress.trend.overall': 'Score global',
+  'progress.trend.reflectionAccuracy': 'Justesse des reformulations',
+  'progress.trend.rejections': 'Moins de messages signalés',
+  'progress.trend.balance': 'Équilibre du temps de parole',
+  'progress.up': 'en progrès',
+  'progress.down': 'en recul',
+  'progress.steady': 'stable',
+  'progress.weeklyStreak': 'Série de {count} semaines',
+  'progress.cleanStreak': "Dialogues d'affilée sans message signalé : {count}",
+  'progress.topics': 'Sujets explorés : {count}',
+  'progress.badges': 'Badges',
+  'badge.first-dialogue': 'Premier dialogue',
+  'badge.first-dialogue.description': 'Un dialogue mené à son terme',
+  'badge.clean-record': 'Sans faute',
+  'badge.clean-record.description': "Trois dialogues d'affilée sans message signalé",
+  'badge.good-listener': "À l'écoute",
+  'badge.good-listener.description': 'Reformulations justes à 75 % ou plus en moyenne',
+  'badge.balanced': 'Équilibré',
+  'badge.balanced.description': "Trois dialogues d'affilée avec un temps de parole équitable",
+  'badge.explorer': 'Explorateur',
+  'badge.explorer.description': 'Cinq sujets différents abordés',
+  'badge.streak': 'Régulier',
+  'badge.streak.description': 'Un dialogue par semaine pendant quatre semaines',
+
+  // Tension and cooling off
+  'guide.grounding': "Prenons le temps de respirer. Ce sujet compte visiblement pour vous deux, et il est normal de le ressentir fortement. Avant de continuer, essayez de dire ce que vous ressentez plutôt que ce que l'autre a fait.",
+  'tension.rising': 'Le ton monte un peu. Ralentir peut aider.',
+  'tension.high': 'La tension est forte. Le Guide propose une courte pause.',
+  'tension.offerTitle': 'Prendre un moment ?',
+  'tension.offerBody': 'Une pause de {minutes} minutes peut vous aider à reprendre la conversation plus sereinement.',
+  'tension.takeBreak': 'Pause de {minutes} min',
+  'tension.keepGoing': 'Continuer',
+  'tension.breakTitle': 'Pause pour souffler',
+  'tension.breakBody': "Éloignez-vous de l'écran, respirez lentement et pensez à ce que vous voulez le plus que votre interlocuteur comprenne.",
+  'tension.breakLeft': 'Temps restant de la pause',
+  'tension.resume': 'Reprendre maintenant',
+  'tension.exit': 'Mettre en pause et quitter',
+  'tension.partnerLeftTitle': '{name} a mis le dialogue en pause et est parti',
+  'tension.partnerLeftBody': 'Le dialogue est enregistré sur cet appareil. Vous pouvez quitter aussi et le reprendre plus tard.',
+  'facilitator.tension': 'Tension {score}',
+
+  // Facilitation styles
+  'onboarding.style': 'Style du Guide',
+  'style.balanced.name': 'Équilibré',
+  'style.balanced.description': 'Chaleureux et neutre. Le Guide fait avancer le dialogue et intervient si besoin.',
+  'style.coaching.name': 'Accompagnement',
+  'style.coaching.description': 'Amical et simple, avec des questions de relance et un soutien précoce. Idéal pour les ados et les débutants.',
+  'style.socratic.name': 'Socratique',
+  'style.socratic.description': 'Curieux et exigeant. Le Guide demande des raisons et des exemples, comme en séminaire ou en débat.',
+  'style.minimal.name': 'Minimal',
+  'style.minimal.description': "Bref et discret. Le Guide n'intervient que lorsque le ton monte vraiment."
+};
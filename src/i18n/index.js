@@ -0,0 +1,30 @@
+import en from './en.js';
+import es from './es.js';
+import fr from './fr.js';
+
+/**
+ * Locale catalog. Each participant picks a language; it drives their UI
+ * strings, the speech recognition locale and the language Guide writes in.
+ */
+export const LANGUAGES = [
+  { code: 'en', label: 'English', name: 'English', speech: 'en-US' },
+  { code: 'es', label: 'Español', name: 'Spanish', speech: 'es-ES' },
+  { code: 'fr', label: 'Français', name: 'French', speech: 'fr-FR' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, es, fr };
+
+export const getLanguage = (code) => LANGUAGES.find(l => l.code === code) || LANGUAGES[0];
+
+/**
+ * Looks up `key` in the catalog for `lang` (falling back to English) and
+ * fills {placeholders} from `vars`.
+ */
+export function translate(lang, key, vars = {}) {
+  const template = CATALOGS[lang]?.[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+export const createT = (lang) => (key, vars) => translate(lang, key, vars);
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { computeAirtime, quieterSpeaker, shouldNudge } from '../airtime.js';
+import { getProtocol, turnLimit } from '../protocols.js';
+
+const turn = (sender, audioLength, extra = {}) => ({ id: Math.random(), sender, text: '…', phase: 1, audioLength, ...extra });
+
+describe('airtime', () => {
+  it('adds up dialogue turns only', () => {
+    const messages = [
+      turn('guide', 0),
+      turn('A', 40),
+      turn('B', 20),
+      turn('A', 30),
+      turn('B', 50, { isToGuide: true })
+    ];
+    expect(computeAirtime(messages)).toEqual({ A: 70, B: 20 });
+  });
+
+  it('counts typed turns as the time it takes to say them', () => {
+    const typed = turn('B', 0, { typed: true, text: 'I grew up on a farm and water was always the first worry every single summer.' });
+    expect(computeAirtime([turn('A', 10), typed])).toEqual({ A: 10, B: 6 });
+  });
+
+  it('waits for enough speaking before calling an imbalance', () => {
+    expect(quieterSpeaker({ A: 50, B: 5 })).toBeNull();
+    expect(quieterSpeaker({ A: 120, B: 20 })).toBe('B');
+    expect(quieterSpeaker({ A: 15, B: 100 })).toBe('A');
+    expect(quieterSpeaker({ A: 60, B: 50 })).toBeNull();
+  });
+
+  it('nudges the quieter speaker once per phase', () => {
+    const messages = [turn('A', 150), turn('B', 10)];
+    expect(shouldNudge(messages, 'B', 1)).toBe(true);
+    expect(shouldNudge(messages, 'A', 1)).toBe(false);
+
+    const nudged = [...messages, { id: 'n', sender: 'guide', nudge: true, phase: 1 }];
+    expect(shouldNudge(nudged, 'B', 1)).toBe(false);
+    expect(shouldNudge(nudged, 'B', 2)).toBe(true);
+  });
+});
+
+describe('turn time limits', () => {
+  it('uses the phase limit, then the protocol default', () => {
+    const deep = getProtocol('deep');
+    expect(turnLimit(deep, 2)).toBe(240);
+    expect(turnLimit(deep, 3)).toBe(150);
+    expect(turnLimit(getProtocol('checkin'), 1)).toBe(90);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { computeCivilityProfile, SCORE_KEYS } from '../civility.js';
+import { computeAirtime } from '../airtime.js';
+
+let nextId = 1;
+const say = (sender, phase, text, extra = {}) => ({ id: nextId++, sender, phase, text, ...extra });
+
+describe('computeCivilityProfile', () => {
+  it('measures speaking time like the airtime nudge, typed turns included', () => {
+    const messages = [
+      say('A', 1, 'I grew up on a farm and water was always the first worry every single summer.', { typed: true }),
+      say('B', 1, 'My city flooded twice.', { audioLength: 4 })
+    ];
+    const profile = computeCivilityProfile(messages);
+    const airtime = computeAirtime(messages);
+    expect(profile.A.speakingTime).toBe(airtime.A);
+    expect(profile.A.speakingTime).toBeGreaterThan(0);
+    expect(profile.A.speakingShare + profile.B.speakingShare).toBe(100);
+    expect(profile.A.speakingShare).toBeGreaterThan(50);
+  });
+
+  it('splits an empty dialogue evenly', () => {
+    const profile = computeCivilityProfile([]);
+    expect(profile.A.speakingShare).toBe(50);
+    expect(profile.B.speakingShare).toBe(50);
+  });
+
+  it('scores listening by how much a reply builds on what the partner just said', () => {
+    const partner = say('A', 1, 'Droughts ruined our harvest and the farm nearly closed.');
+    const echo = computeCivilityProfile([partner, say('B', 1, 'A ruined harvest must have made the farm feel fragile.')]);
+    const unrelated = computeCivilityProfile([partner, say('B', 1, 'My commute takes forever lately.')]);
+    expect(echo.B.scores.listening).toBeGreaterThan(unrelated.B.scores.listening);
+    expect(echo.A.scores.listening).toBe(0); // Nobody spoke before A
+  });
+
+  it('weighs the partner verdict on a listening check above the wording', () => {
+    const context = [say('A', 1, 'Water mattered to my family farm.'), say('B', 1, 'The floods scared me.')];
+    const mirror = (reflection) => computeCivilityProfile([...context, say('B', 3, 'I heard that water mattered to your family farm.', { reflection })]);
+    const confirmed = mirror({ status: 'confirmed', accuracy: 60 });
+    const corrected = mirror({ status: 'corrected', accuracy: 90 });
+    expect(confirmed.B.scores.reflecting).toBeGreaterThan(corrected.B.scores.reflecting);
+    expect(confirmed.B.listeningChecks).toEqual({ confirmed: 1, corrected: 0 });
+    expect(corrected.B.listeningChecks).toEqual({ confirmed: 0, corrected: 1 });
+    expect(mirror({ status: 'pending', accuracy: 90 }).B.listeningChecks).toEqual({ confirmed: 0, corrected: 0 });
+  });
+
+  it('rewards questions and counts the ones put to Guide', () => {
+    const profile = computeCivilityProfile([
+      say('A', 1, 'Why does the river matter so much to you? Tell me more.'),
+      say('A', 1, 'What is carbon pricing?', { isToGuide: true }),
+      say('B', 1, 'It just does.')
+    ]);
+    expect(profile.A.scores.curiosity).toBeGreaterThan(profile.B.scores.curiosity);
+    expect(profile.A.guideQuestions).toBe(1);
+    expect(profile.A.turns).toBe(1);
+  });
+
+  it('lowers tone for moderation rejections and hostile phrasing', () => {
+    const messages = [say('A', 1, 'I see it differently.'), say('B', 1, 'That is ridiculous, you never listen.')];
+    const profile = computeCivilityProfile(messages, { A: 2 });
+    expect(profile.A.scores.tone).toBe(65);
+    expect(profile.A.rejections).toBe(2);
+    expect(profile.B.scores.tone).toBe(75);
+    expect(profile.B.rejections).toBe(0);
+  });
+
+  it('keeps every score within 0-100 and averages them into the overall score', () => {
+    const profile = computeCivilityProfile([say('A', 1, 'Stupid idiot, shut up, whatever, you always hate this nonsense.')], { A: 10 });
+    const { scores, overall } = profile.A;
+    SCORE_KEYS.forEach(key => expect(scores[key]).toBeGreaterThanOrEqual(0));
+    SCORE_KEYS.forEach(key => expect(scores[key]).toBeLessThanOrEqual(100));
+    expect(scores.tone).toBe(0);
+    expect(overall).toBe(Math.round(SCORE_KEYS.reduce((sum, key) => sum + scores[key], 0) / 4));
+  });
+});
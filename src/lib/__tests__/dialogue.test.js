@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { dialogueReducer, INITIAL_DIALOGUE } from '../dialogue.js';
+import { getProtocol, advance } from '../protocols.js';
+
+const protocol = getProtocol('standard');
+const welcome = { id: 'init', sender: 'guide', text: 'Welcome', phase: 1 };
+const turn = (sender, phase, text = '…') => ({ id: `${sender}-${phase}-${text}`, sender, text, phase });
+
+const started = () => dialogueReducer(INITIAL_DIALOGUE, { type: 'start', phase: 1, turn: 'A', welcome });
+
+// Commits a turn and moves on the way App.jsx does, with `transition` opening a new phase
+const send = (state, message, transition = { id: `t-${message.id}`, sender: 'guide', text: 'Next step' }) => {
+  const sent = dialogueReducer(state, { type: 'sent', message });
+  const next = advance(protocol, { phase: sent.phase, turnIndex: sent.turnIndex, messages: sent.messages });
+  if (next.type === 'end') return { state: sent, next };
+  const messages = next.type === 'phase' ? [{ ...transition, phase: next.phase }] : [];
+  return { state: dialogueReducer(sent, { type: 'advance', next, messages }), next };
+};
+
+describe('dialogue reducer', () => {
+  it('opens with Guide\'s welcome and the first speaker', () => {
+    expect(started()).toMatchObject({ messages: [welcome], phase: 1, turn: 'A', turnIndex: 0, rejections: { A: 0, B: 0 } });
+  });
+
+  it('passes the turn from A to B within a phase, then opens the next phase', () => {
+    const afterA = send(started(), turn('A', 1));
+    expect(afterA.next.type).toBe('turn');
+    expect(afterA.state).toMatchObject({ phase: 1, turn: 'B', turnIndex: 1 });
+
+    const afterB = send(afterA.state, turn('B', 1));
+    expect(afterB.next.type).toBe('phase');
+    expect(afterB.state).toMatchObject({ phase: 2, turn: 'A', turnIndex: 0 });
+    expect(afterB.state.messages.at(-1)).toMatchObject({ sender: 'guide', phase: 2 });
+  });
+
+  it('ends after both speakers close phase 6', () => {
+    let state = started();
+    let next;
+    for (const phase of [1, 2, 3, 4, 5, 6]) {
+      ({ state, next } = send(state, turn('A', phase)));
+      ({ state, next } = send(state, turn('B', phase)));
+    }
+    expect(next.type).toBe('end');
+    expect(state.phase).toBe(6);
+    expect(dialogueReducer(state, { type: 'advance', next })).toBe(state);
+    expect(state.messages.filter(m => m.sender === 'guide')).toHaveLength(6);
+  });
+
+  it('keeps the turn where it is for a public question to Guide', () => {
+    const question = { ...turn('A', 1, 'What does this word mean?'), isToGuide: true };
+    const answer = { id: 'answer', sender: 'guide', text: 'It means…', phase: 1 };
+    const state = dialogueReducer(dialogueReducer(started(), { type: 'question', message: question }), { type: 'guide', message: answer });
+
+    expect(state.messages.slice(-2)).toEqual([question, answer]);
+    expect(state).toMatchObject({ phase: 1, turn: 'A', turnIndex: 0 });
+  });
+
+  it('withdraws a public question whose answer was cancelled', () => {
+    const question = { ...turn('A', 1), isToGuide: true };
+    const state = dialogueReducer(dialogueReducer(started(), { type: 'question', message: question }), { type: 'withdraw', id: question.id });
+    expect(state.messages).toEqual([welcome]);
+  });
+
+  it('keeps private hints out of the transcript and clears them once a turn is sent', () => {
+    const hinted = dialogueReducer(started(), { type: 'hint', text: 'Try asking about their family.' });
+    expect(hinted.privateHint).toBe('Try asking about their family.');
+    expect(hinted.messages).toEqual([welcome]);
+
+    const sent = dialogueReducer(hinted, { type: 'sent', message: turn('A', 1) });
+    expect(sent.privateHint).toBeNull();
+    expect(JSON.stringify(sent.messages)).not.toContain('their family');
+  });
+
+  it('counts rejections without touching the transcript or the turn', () => {
+    const state = dialogueReducer(dialogueReducer(started(), { type: 'rejected', speaker: 'A' }), { type: 'rejected', speaker: 'A' });
+    expect(state.rejections).toEqual({ A: 2, B: 0 });
+    expect(state).toMatchObject({ messages: [welcome], turn: 'A', turnIndex: 0 });
+  });
+
+  it('loads a session, keeping a local hint only for the partner\'s updates', () => {
+    const hinted = dialogueReducer(started(), { type: 'hint', text: 'Hint' });
+    const session = { messages: [welcome, turn('A', 1)], phase: 1, turn: 'B', turnIndex: 1, rejections: { A: 1, B: 0 } };
+
+    expect(dialogueReducer(hinted, { type: 'load', session, keepHint: true })).toMatchObject({ turn: 'B', privateHint: 'Hint' });
+    expect(dialogueReducer(hinted, { type: 'load', session }).privateHint).toBeNull();
+  });
+
+  it('rewords an offline placeholder only while nobody has answered it', () => {
+    const placeholder = { id: 'q', sender: 'guide', text: 'Plain question', phase: 2, queued: true };
+    const changes = { text: 'Reworded question' };
+    const waiting = { ...started(), messages: [welcome, placeholder] };
+    const answered = { ...waiting, messages: [welcome, placeholder, turn('A', 2)] };
+
+    expect(dialogueReducer(waiting, { type: 'reworded', id: 'q', changes }).messages[1]).toEqual({ id: 'q', sender: 'guide', text: 'Reworded question', phase: 2 });
+    expect(dialogueReducer(answered, { type: 'reworded', id: 'q', changes }).messages[1]).toEqual({ id: 'q', sender: 'guide', text: 'Plain question', phase: 2 });
+  });
+
+  it('keeps Guide\'s memory only while it covers closed phases and more than before', () => {
+    const inPhase3 = { ...started(), phase: 3 };
+    const memory = (throughPhase) => ({ summary: { A: { values: [], experiences: [] }, B: { values: [], experiences: [] }, divergences: [] }, throughPhase });
+
+    const remembered = dialogueReducer(inPhase3, { type: 'remembered', memory: memory(2) });
+    expect(remembered.memory.throughPhase).toBe(2);
+    expect(dialogueReducer(remembered, { type: 'remembered', memory: memory(1) })).toBe(remembered);  // Older summary, late
+    expect(dialogueReducer(inPhase3, { type: 'remembered', memory: memory(3) })).toBe(inPhase3);      // Phase still open
+    expect(dialogueReducer(INITIAL_DIALOGUE, { type: 'remembered', memory: memory(2) })).toBe(INITIAL_DIALOGUE); // Dialogue left meanwhile
+  });
+
+  it('rejects unknown actions', () => {
+    expect(() => dialogueReducer(INITIAL_DIALOGUE, { type: 'shout' })).toThrow(/Unknown dialogue action/);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { buildSessionRecord, insightMessages, toMarkdown, toHTML, toJSON } from '../exportSession.js';
+import { createT } from '../../i18n/index.js';
+
+const messages = [
+  { id: 'init', sender: 'guide', text: 'Welcome to the dialogue.', lang: 'en', phase: 1 },
+  { id: 1, sender: 'A', text: 'My town <flooded> twice.', recognizedText: 'My town flooded twice.', lang: 'en', translations: { es: 'Mi pueblo se inundó dos veces.' }, phase: 1, audioLength: 12 },
+  { id: 2, sender: 'B', text: 'What should I say here?', lang: 'es', phase: 1, isToGuide: true, audioLength: 3 },
+  { id: 3, sender: 'B', text: 'We both want our kids safe.', lang: 'es', phase: 5, audioLength: 9 }
+];
+
+const session = {
+  id: 'abc',
+  topic: { id: 'builtin:climate', title: 'Climate Policy' },
+  protocolId: 'standard',
+  languages: { A: 'en', B: 'es' },
+  messages,
+  rejections: { A: 0, B: 1 },
+  startedAt: Date.UTC(2026, 0, 1)
+};
+
+const t = createT('en');
+
+describe('buildSessionRecord', () => {
+  it('keeps phase, sender, isToGuide and audioLength for every message', () => {
+    const record = buildSessionRecord(session, { recap: 'Both care about safety.' });
+    expect(record.recap).toBe('Both care about safety.');
+    expect(record.session.protocol.id).toBe('standard');
+    expect(record.messages.map(m => [m.sender, m.phase, m.isToGuide, m.audioLength])).toEqual([
+      ['guide', 1, false, 0],
+      ['A', 1, false, 12],
+      ['B', 1, true, 3],
+      ['B', 5, false, 9]
+    ]);
+    expect(record.messages[1].recognizedText).toBe('My town flooded twice.');
+  });
+
+  it('never exports anything outside the shared message list', () => {
+    const withHint = { ...session, privateHint: 'Try asking about their childhood.' };
+    const exported = [
+      toJSON(buildSessionRecord(withHint)),
+      toMarkdown(buildSessionRecord(withHint), { t, lang: 'en' }),
+      toHTML(buildSessionRecord(withHint), { t, lang: 'en' })
+    ];
+    exported.forEach(text => expect(text).not.toContain('childhood'));
+  });
+});
+
+describe('formatters', () => {
+  it('shows translations into the exporter\'s language', () => {
+    const markdown = toMarkdown(buildSessionRecord(session), { t, lang: 'es' });
+    expect(markdown).toContain('> Mi pueblo se inundó dos veces.');
+  });
+
+  it('escapes participant text in HTML', () => {
+    const html = toHTML(buildSessionRecord(session), { t, lang: 'en' });
+    expect(html).toContain('My town &lt;flooded&gt; twice.');
+    expect(html).not.toContain('<flooded>');
+  });
+});
+
+describe('insightMessages', () => {
+  it('picks the Shared Insight contributions', () => {
+    expect(insightMessages(messages).map(m => m.id)).toEqual([3]);
+  });
+
+  it('falls back to the whole dialogue when that step was skipped', () => {
+    const short = messages.filter(m => m.phase !== 5);
+    expect(insightMessages(short)).toBe(short);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLocalSessionStore, createMemoryStorage } from '../facilitatorStore.js';
+
+const summary = { id: 's1', topic: 'Climate Policy', protocolId: 'standard', phase: 2, turn: 'B', rejections: { A: 0, B: 1 }, startedAt: 1, paused: false, status: 'active' };
+
+const newStore = () => createLocalSessionStore({ storage: createMemoryStorage(), events: null });
+
+describe('facilitator session store', () => {
+  it('lists published sessions, most recently updated first', () => {
+    const store = newStore();
+    store.publishSession(summary);
+    store.publishSession({ ...summary, id: 's2', phase: 4 });
+    store.publishSession({ ...summary, phase: 3 });
+
+    expect(store.listSessions().map(s => s.id)).toEqual(['s1', 's2']);
+    expect(store.getSession('s1').phase).toBe(3);
+    expect(store.getSession('missing')).toBeNull();
+  });
+
+  it('queues commands per session and hands each one over once', () => {
+    const store = newStore();
+    store.sendCommand('s1', { type: 'pause' });
+    store.sendCommand('s2', { type: 'skip-phase' });
+    store.sendCommand('s1', { type: 'guide-message', text: 'Take a breath.', lang: 'en' });
+
+    const taken = store.takeCommands('s1');
+    expect(taken.map(c => c.type)).toEqual(['pause', 'guide-message']);
+    expect(taken[1]).toMatchObject({ sessionId: 's1', text: 'Take a breath.' });
+    expect(store.takeCommands('s1')).toEqual([]);
+    expect(store.takeCommands('s2')).toHaveLength(1);
+  });
+
+  it('rejects unknown commands', () => {
+    expect(() => newStore().sendCommand('s1', { type: 'end-everything' })).toThrow(/Unknown facilitator command/);
+  });
+
+  it('drops queued commands with the session', () => {
+    const store = newStore();
+    store.publishSession(summary);
+    store.sendCommand('s1', { type: 'resume' });
+    store.removeSession('s1');
+
+    expect(store.listSessions()).toEqual([]);
+    expect(store.takeCommands('s1')).toEqual([]);
+  });
+
+  it('ends unfinished sessions and keeps finished ones listed', () => {
+    const store = newStore();
+    store.publishSession(summary);
+    store.publishSession({ ...summary, id: 's2', status: 'finished' });
+    store.sendCommand('s1', { type: 'pause' });
+    store.endSession('s1');
+    store.endSession('s2');
+
+    expect(store.listSessions().map(s => s.id)).toEqual(['s2']);
+    expect(store.takeCommands('s1')).toEqual([]);
+  });
+
+  it('expires sessions that stopped updating', () => {
+    let clock = 0;
+    const store = createLocalSessionStore({ storage: createMemoryStorage(), events: null, ttl: 1000, now: () => clock });
+    store.publishSession(summary);
+    clock = 500;
+    store.publishSession({ ...summary, id: 's2' });
+    clock = 1200;
+
+    expect(store.listSessions().map(s => s.id)).toEqual(['s2']);
+    expect(store.getSession('s1')).toBeNull();
+  });
+
+  it('notifies subscribers on every write until they unsubscribe', () => {
+    const store = newStore();
+    const listener = vi.fn();
+    const unsubscribe = store.subscribe(listener);
+    store.publishSession(summary);
+    store.sendCommand('s1', { type: 'pause' });
+    unsubscribe();
+    store.takeCommands('s1');
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares state between stores on the same storage', () => {
+    const storage = createMemoryStorage();
+    const dashboard = createLocalSessionStore({ storage, events: null });
+    const dialogue = createLocalSessionStore({ storage, events: null });
+    dialogue.publishSession(summary);
+    dashboard.sendCommand('s1', { type: 'pause' });
+
+    expect(dashboard.listSessions()).toHaveLength(1);
+    expect(dialogue.takeCommands('s1').map(c => c.type)).toEqual(['pause']);
+  });
+});
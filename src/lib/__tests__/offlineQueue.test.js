@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { createOfflineQueue } from '../offlineQueue.js';
+import { createMemoryStorage } from '../facilitatorStore.js';
+
+describe('offline queue', () => {
+  it('keeps requests per session, oldest first, until removed', () => {
+    const queue = createOfflineQueue({ storage: createMemoryStorage() });
+    const first = queue.enqueue('s1', 'transition', { messageId: 1 });
+    queue.enqueue('s2', 'transition', { messageId: 2 });
+    queue.enqueue('s1', 'transition', { messageId: 3 });
+
+    expect(queue.list('s1').map(item => item.request.messageId)).toEqual([1, 3]);
+    queue.remove(first.id);
+    expect(queue.list('s1').map(item => item.request.messageId)).toEqual([3]);
+    queue.clear('s1');
+    expect(queue.list('s1')).toEqual([]);
+    expect(queue.list('s2')).toHaveLength(1);
+  });
+
+  it('survives a reload through its storage', () => {
+    const storage = createMemoryStorage();
+    createOfflineQueue({ storage }).enqueue('s1', 'transition', { messageId: 1 });
+    expect(createOfflineQueue({ storage }).list('s1')).toHaveLength(1);
+  });
+
+  it('treats unreadable storage as empty', () => {
+    const storage = createMemoryStorage();
+    storage.setItem('y-platform:offline-queue', '{not json');
+    expect(createOfflineQueue({ storage }).list('s1')).toEqual([]);
+  });
+});
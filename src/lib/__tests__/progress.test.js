@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { dialogueSummary, computeProgress, weeklyStreak } from '../progress.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 2, 18, 12).getTime(); // A Wednesday
+
+const entry = (daysAgo, extra = {}) => ({
+  sessionId: `s${daysAgo}`,
+  date: NOW - daysAgo * DAY,
+  topic: { id: 'climate', title: 'Climate Policy' },
+  overall: 60,
+  scores: { listening: 60, reflecting: 60, curiosity: 60, tone: 60 },
+  rejections: 0,
+  reflectionAccuracy: null,
+  airtimeShare: 50,
+  ...extra
+});
+
+describe('progress', () => {
+  it('summarizes one participant of a finished dialogue', () => {
+    const session = {
+      id: 's1',
+      updatedAt: NOW,
+      topic: { id: 'climate', title: 'Climate Policy', description: 'Ignored' },
+      rejections: { A: 1, B: 0 },
+      messages: [
+        { id: 1, sender: 'A', text: 'Water matters to my family farm.', phase: 1, audioLength: 30 },
+        { id: 2, sender: 'B', text: 'I heard that water matters to your farm.', phase: 3, audioLength: 10, reflection: { accuracy: 80, status: 'confirmed' } },
+        { id: 3, sender: 'B', text: 'Pending one.', phase: 3, audioLength: 10, reflection: { accuracy: 20, status: 'pending' } }
+      ]
+    };
+
+    expect(dialogueSummary(session, 'B')).toMatchObject({
+      sessionId: 's1',
+      date: NOW,
+      topic: { id: 'climate', title: 'Climate Policy' },
+      rejections: 0,
+      reflectionAccuracy: 80,
+      airtimeShare: 40
+    });
+    expect(dialogueSummary(session, 'A')).toMatchObject({ rejections: 1, reflectionAccuracy: null, airtimeShare: 60 });
+  });
+
+  it('compares the latest three dialogues with the three before', () => {
+    const entries = [30, 25, 20, 15, 10, 5].map((daysAgo, i) => entry(daysAgo, { overall: i < 3 ? 50 : 70, rejections: i < 3 ? 0 : 2 }));
+    const progress = computeProgress(entries, NOW);
+
+    expect(progress.trends.overall).toBe('up');
+    expect(progress.trends.rejections).toBe('down');
+    expect(progress.trends.balance).toBe('steady');
+    expect(progress.trends.reflectionAccuracy).toBeNull();
+    expect(progress.series).toEqual([50, 50, 50, 70, 70, 70]);
+  });
+
+  it('counts weeks in a row with a dialogue, allowing for the week still under way', () => {
+    expect(weeklyStreak([NOW - 1 * DAY, NOW - 8 * DAY, NOW - 15 * DAY], NOW)).toBe(3);
+    expect(weeklyStreak([NOW - 7 * DAY, NOW - 14 * DAY], NOW)).toBe(2);
+    expect(weeklyStreak([NOW - 21 * DAY], NOW)).toBe(0);
+  });
+
+  it('awards badges as they are earned', () => {
+    expect(computeProgress([], NOW).badges).toEqual([]);
+    expect(computeProgress([entry(1, { rejections: 1, airtimeShare: 80 })], NOW).badges).toEqual(['first-dialogue']);
+
+    const entries = ['a', 'b', 'c', 'd', 'e'].map((id, i) => entry(i * 7, { topic: { id, title: id }, reflectionAccuracy: 80 }));
+    expect(computeProgress(entries, NOW).badges).toEqual(['first-dialogue', 'clean-record', 'good-listener', 'balanced', 'explorer', 'streak']);
+  });
+
+  it('breaks the clean streak at the latest flagged dialogue', () => {
+    const entries = [entry(3), entry(2, { rejections: 1 }), entry(1), entry(0)];
+    const progress = computeProgress(entries, NOW);
+    expect(progress.cleanStreak).toBe(2);
+    expect(progress.totalRejections).toBe(1);
+    expect(progress.topics).toEqual([{ id: 'climate', title: 'Climate Policy' }]);
+  });
+});
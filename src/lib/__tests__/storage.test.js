@@ -0,0 +1,61 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { saveActiveSession, loadActiveSession, clearActiveSession, archiveSession, listSessions, getSession } from '../storage.js';
+
+const snapshot = { id: 's1', topic: { title: 'Climate Policy' }, phase: 2, turn: 'B', messages: [{ id: 1, sender: 'A', text: 'Hello', phase: 1 }], status: 'active' };
+
+beforeEach(() => localStorage.clear());
+afterEach(() => vi.restoreAllMocks());
+
+describe('active dialogue', () => {
+  it('resumes the last saved snapshot, stamped with when it was saved', () => {
+    expect(loadActiveSession()).toBeNull();
+    saveActiveSession(snapshot);
+    saveActiveSession({ ...snapshot, turn: 'A' });
+
+    const resumed = loadActiveSession();
+    expect(resumed).toMatchObject({ ...snapshot, turn: 'A' });
+    expect(resumed.updatedAt).toBeTypeOf('number');
+
+    clearActiveSession();
+    expect(loadActiveSession()).toBeNull();
+  });
+
+  it('starts fresh rather than failing on a corrupted snapshot', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('y-platform:active-session', '{not json');
+    expect(loadActiveSession()).toBeNull();
+  });
+
+  it('keeps the dialogue going when the browser refuses to save', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new DOMException('Full', 'QuotaExceededError'); });
+    expect(() => saveActiveSession(snapshot)).not.toThrow();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('history', () => {
+  it('archives a finished dialogue, newest first, and drops the active snapshot', () => {
+    saveActiveSession(snapshot);
+    archiveSession(snapshot);
+    const finished = archiveSession({ ...snapshot, id: 's2' });
+
+    expect(finished.status).toBe('complete');
+    expect(listSessions().map(s => s.id)).toEqual(['s2', 's1']);
+    expect(getSession('s1').messages).toEqual(snapshot.messages);
+    expect(getSession('missing')).toBeNull();
+    expect(loadActiveSession()).toBeNull();
+  });
+
+  it('replaces an earlier copy of the same dialogue and keeps the 50 most recent', () => {
+    for (let i = 0; i < 52; i++) archiveSession({ ...snapshot, id: `s${i}` });
+    archiveSession({ ...snapshot, id: 's51', phase: 6 });
+
+    const history = listSessions();
+    expect(history).toHaveLength(50);
+    expect(history[0]).toMatchObject({ id: 's51', phase: 6 });
+    expect(history.filter(s => s.id === 's51')).toHaveLength(1);
+    expect(getSession('s0')).toBeNull();
+  });
+});
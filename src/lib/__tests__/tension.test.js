@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { TENSION, turnDelta, rejectionDelta, applyDelta, crossesThreshold, tensionLevel } from '../tension.js';
+
+const rejected = (severity, category = 'insult') => ({ status: 'rejected', category, severity });
+
+describe('tension', () => {
+  it('weighs rejections by severity and ignores ones that are not about the partner', () => {
+    expect(rejectionDelta(rejected('low', 'dismissiveness'))).toBe(10);
+    expect(rejectionDelta(rejected('high', 'threat'))).toBe(40);
+    expect(rejectionDelta(rejected('medium', 'unavailable'))).toBe(0);
+    expect(rejectionDelta(rejected('medium', 'manipulation'))).toBe(0);
+    expect(rejectionDelta({ status: 'approved', category: 'none', severity: 'none' })).toBe(0);
+  });
+
+  it('raises the score for heated phrasing and eases it for calm turns', () => {
+    expect(turnDelta('You always do this, it is ridiculous!!')).toBeGreaterThan(0);
+    expect(turnDelta('That is NOT what I SAID')).toBeGreaterThan(0);
+    expect(turnDelta('I grew up near the coast.')).toBe(-TENSION.calmDecay);
+    expect(turnDelta('I hear you, and that makes sense.')).toBeLessThan(-TENSION.calmDecay);
+  });
+
+  it('stays between 0 and 100', () => {
+    expect(applyDelta(5, -20)).toBe(0);
+    expect(applyDelta(90, 40)).toBe(100);
+  });
+
+  it('intervenes only when the score rises past the threshold', () => {
+    expect(crossesThreshold(40, 65)).toBe(true);
+    expect(crossesThreshold(60, 80)).toBe(false);
+    expect(crossesThreshold(65, 40)).toBe(false);
+  });
+
+  it('maps the score to a level', () => {
+    expect(tensionLevel(10)).toBe('calm');
+    expect(tensionLevel(30)).toBe('rising');
+    expect(tensionLevel(TENSION.threshold)).toBe('high');
+    expect(tensionLevel(60, 70)).toBe('rising'); // A style that steps in later
+    expect(tensionLevel(40, 35)).toBe('high');
+  });
+});
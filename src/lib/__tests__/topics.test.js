@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { parseTopicPack, serializeTopicPack, CUSTOM_PACK_ID } from '../topics.js';
+
+const myTopics = { id: CUSTOM_PACK_ID, name: 'My Topics', topics: [{ id: 'custom:abc', title: 'School Uniforms' }] };
+
+describe('parseTopicPack', () => {
+  it('keeps the id of a new pack and namespaces its topics by it', () => {
+    const pack = parseTopicPack(JSON.stringify({ id: 'civics', name: 'Civics', topics: [{ id: 'voting', title: 'Voting Age' }] }));
+    expect(pack.id).toBe('civics');
+    expect(pack.topics[0].id).toBe('civics:voting');
+  });
+
+  it('never replaces "My Topics" or a pack that is already saved', () => {
+    const fromMyTopics = parseTopicPack(serializeTopicPack(myTopics));
+    expect(fromMyTopics.id).not.toBe(CUSTOM_PACK_ID);
+    expect(fromMyTopics.topics[0].id).toBe(`${fromMyTopics.id}:abc`);
+
+    const again = parseTopicPack(JSON.stringify({ id: 'civics', topics: [{ id: 'civics:voting', title: 'Voting Age' }] }), ['civics']);
+    expect(again.id).not.toBe('civics');
+    expect(again.topics[0].id).toBe(`${again.id}:voting`);
+  });
+
+  it('gives repeated or missing topic ids fresh ones', () => {
+    const pack = parseTopicPack(JSON.stringify({ id: 'civics', topics: [{ id: 'a', title: 'One' }, { id: 'a', title: 'Two' }, { title: 'Three' }] }));
+    const ids = pack.topics.map(t => t.id);
+    expect(new Set(ids).size).toBe(3);
+    expect(ids.every(id => id.startsWith('civics:'))).toBe(true);
+  });
+
+  it('rejects files that are not usable packs', () => {
+    expect(() => parseTopicPack('nope')).toThrow(/valid JSON/);
+    expect(() => parseTopicPack('{"topics": []}')).toThrow(/non-empty/);
+    expect(() => parseTopicPack('{"topics": [{"title": ""}]}')).toThrow(/needs a title/);
+  });
+});
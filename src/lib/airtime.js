@@ -0,0 +1,46 @@
+/**
+ * Cumulative speaking time per participant, and when Guide should invite
+ * the quieter one in. Only turns in the dialogue count — questions to Guide
+ * are not airtime. Typed turns count as the time it takes to say them.
+ */
+
+const PARTICIPANTS = ['A', 'B'];
+
+export const AIRTIME_NUDGE = {
+  minSeconds: 90, // Too early to call it an imbalance before this much combined speaking
+  maxShare: 0.7   // Share of the airtime one person can hold before Guide steps in
+};
+
+const WORDS_PER_SECOND = 2.5; // Unhurried speech, about 150 words a minute
+
+export const typedSeconds = (text = '') => Math.round(text.split(/\s+/).filter(Boolean).length / WORDS_PER_SECOND);
+
+export function computeAirtime(messages) {
+  const airtime = { A: 0, B: 0 };
+  for (const m of messages) {
+    if (!PARTICIPANTS.includes(m.sender) || m.isToGuide) continue;
+    airtime[m.sender] += m.typed ? typedSeconds(m.text) : m.audioLength || 0;
+  }
+  return airtime;
+}
+
+/**
+ * The participant who has spoken too little so far, or null when airtime is
+ * balanced enough (or there is not enough of it yet to tell).
+ */
+export function quieterSpeaker(airtime, { minSeconds, maxShare } = AIRTIME_NUDGE) {
+  const total = airtime.A + airtime.B;
+  if (total < minSeconds) return null;
+  if (airtime.A / total > maxShare) return 'B';
+  if (airtime.B / total > maxShare) return 'A';
+  return null;
+}
+
+/**
+ * Whether Guide should nudge `speaker` as they start a turn in `phase`:
+ * they are the quieter one and have not been nudged in this phase yet.
+ */
+export function shouldNudge(messages, speaker, phase, thresholds = AIRTIME_NUDGE) {
+  if (quieterSpeaker(computeAirtime(messages), thresholds) !== speaker) return false;
+  return !messages.some(m => m.nudge && m.phase === phase);
+}
@@ -0,0 +1,68 @@
+/**
+ * Voice note audio lives in IndexedDB (localStorage can't hold blobs).
+ * Messages only carry an `audioId` pointing into this store, and a clip
+ * only exists on the device that recorded it. pruneAudio deletes the clips
+ * no saved dialogue points to any more.
+ */
+
+const DB_NAME = 'y-platform-audio';
+const STORE = 'clips';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // Try again next time instead of failing forever
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export async function saveAudio(id, blob) {
+  try {
+    await run('readwrite', store => store.put(blob, String(id)));
+    return true;
+  } catch (error) {
+    console.error("Audio save error:", error);
+    return false;
+  }
+}
+
+export async function loadAudio(id) {
+  try {
+    return await run('readonly', store => store.get(String(id))) || null;
+  } catch (error) {
+    console.error("Audio load error:", error);
+    return null;
+  }
+}
+
+// Deletes every clip whose id isn't in `keepIds`; resolves to how many went
+export async function pruneAudio(keepIds) {
+  const keep = new Set(keepIds.map(String));
+  try {
+    const stale = (await run('readonly', store => store.getAllKeys())).filter(key => !keep.has(String(key)));
+    if (stale.length) await run('readwrite', store => stale.map(key => store.delete(key)).at(-1));
+    return stale.length;
+  } catch (error) {
+    console.error("Audio prune error:", error);
+    return 0;
+  }
+}
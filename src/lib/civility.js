@@ -0,0 +1,120 @@
+import { computeAirtime } from './airtime.js';
+
+/**
+ * Civility Profile scoring, computed locally from the finished transcript.
+ * Scores are 0-100 heuristics — they are meant as conversation feedback,
+ * not as a judgement of either participant.
+ */
+
+const PARTICIPANTS = ['A', 'B'];
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'for', 'is', 'it', 'that', 'this',
+  'i', 'me', 'my', 'you', 'your', 'we', 'our', 'was', 'were', 'be', 'been', 'are', 'am', 'so',
+  'with', 'at', 'as', 'have', 'has', 'had', 'do', 'did', 'not', 'just', 'like', 'about', 'what',
+  'when', 'how', 'why', 'they', 'them', 'their', 'there', 'then', 'think', 'really', 'very'
+]);
+
+const REFLECTION_CUES = [
+  'i heard', 'you said', 'you mentioned', 'you feel', 'you felt', 'sounds like', 'it seems like',
+  'if i understand', 'what i hear', 'you care about', 'you value', 'from your perspective'
+];
+
+const CURIOSITY_CUES = [
+  'why', 'how come', 'what made', 'curious', 'wonder', 'tell me more', 'could you', 'can you explain',
+  'help me understand'
+];
+
+const HOSTILE_CUES = [
+  'stupid', 'idiot', 'ridiculous', 'shut up', 'nonsense', 'ignorant', 'pathetic', 'whatever',
+  'you always', 'you never', 'hate'
+];
+
+const clamp = (n) => Math.max(0, Math.min(100, Math.round(n)));
+
+const tokenize = (text = '') =>
+  text.toLowerCase().match(/[a-z']+/g)?.filter(w => w.length > 2 && !STOP_WORDS.has(w)) || [];
+
+const countCues = (text, cues) => {
+  const lower = text.toLowerCase();
+  return cues.reduce((n, cue) => n + (lower.includes(cue) ? 1 : 0), 0);
+};
+
+// Share of the partner's vocabulary that shows up in this person's reply
+const overlapRatio = (text, partnerTexts) => {
+  const partnerWords = new Set(partnerTexts.flatMap(tokenize));
+  if (!partnerWords.size) return 0;
+  const own = new Set(tokenize(text));
+  let shared = 0;
+  own.forEach(w => { if (partnerWords.has(w)) shared++; });
+  return shared / Math.min(partnerWords.size, 12);
+};
+
+const scoreParticipant = (id, messages, rejections) => {
+  const partner = id === 'A' ? 'B' : 'A';
+  const spoken = messages.filter(m => m.sender === id && !m.isToGuide);
+  const questions = messages.filter(m => m.sender === id && m.isToGuide);
+
+  // Listening: how much each reply builds on what the partner said just before it
+  const listeningSamples = spoken
+    .map(m => messages.filter(p => p.sender === partner && !p.isToGuide && p.id < m.id).slice(-2))
+    .map((earlier, i) => earlier.length ? overlapRatio(spoken[i].text, earlier.map(p => p.text)) : null)
+    .filter(sample => sample !== null);
+  const listening = listeningSamples.length
+    ? clamp(40 + 90 * (listeningSamples.reduce((a, b) => a + b, 0) / listeningSamples.length))
+    : 0;
+
+  // Reflecting back: the Perspective Mirror turn (phase 3) against the partner's phase 1-2 context
+  const mirror = spoken.filter(m => m.phase === 3).map(m => m.text).join(' ');
+  const partnerContext = messages.filter(m => m.sender === partner && !m.isToGuide && m.phase <= 2).map(m => m.text);
+  const wording = mirror
+    ? clamp(25 + overlapRatio(mirror, partnerContext) * 50 + countCues(mirror, REFLECTION_CUES) * 15)
+    : 0;
+  // The partner's verdict on each listening check counts for more than the wording
+  const checks = spoken.filter(m => m.reflection && m.reflection.status !== 'pending').map(m => m.reflection);
+  const verified = checks.map(c => c.status === 'confirmed' ? Math.max(c.accuracy, 80) : Math.min(c.accuracy, 50));
+  const reflecting = verified.length
+    ? clamp(wording * 0.3 + (verified.reduce((a, b) => a + b, 0) / verified.length) * 0.7)
+    : wording;
+
+  // Curiosity: open questions to the partner and clarification requests to Guide
+  const allText = spoken.map(m => m.text).join(' ');
+  const questionMarks = (allText.match(/\?/g) || []).length;
+  const curiosity = clamp(30 + questionMarks * 12 + countCues(allText, CURIOSITY_CUES) * 10 + questions.length * 8);
+
+  // Tone: starts high, loses ground for moderation rejections and hostile phrasing
+  const tone = clamp(95 - rejections * 15 - countCues(allText, HOSTILE_CUES) * 10);
+
+  return {
+    scores: { listening, reflecting, curiosity, tone },
+    overall: clamp((listening + reflecting + curiosity + tone) / 4),
+    turns: spoken.length,
+    guideQuestions: questions.length,
+    listeningChecks: {
+      confirmed: checks.filter(c => c.status === 'confirmed').length,
+      corrected: checks.filter(c => c.status === 'corrected').length
+    },
+    rejections
+  };
+};
+
+/**
+ * Builds the per-participant profile for a finished dialogue.
+ * `rejections` maps participant id to the number of runSafetyCheck rejections.
+ */
+export function computeCivilityProfile(messages, rejections = {}) {
+  const participants = Object.fromEntries(
+    PARTICIPANTS.map(id => [id, scoreParticipant(id, messages, rejections[id] || 0)])
+  );
+  // The same speaking time the airtime nudge and progress use, typed turns included
+  const airtime = computeAirtime(messages);
+  const totalTime = airtime.A + airtime.B;
+  PARTICIPANTS.forEach(id => {
+    participants[id].speakingTime = airtime[id];
+    participants[id].speakingShare = totalTime ? Math.round((airtime[id] / totalTime) * 100) : 50;
+  });
+  return participants;
+}
+
+// Display order; labels live in the locale catalog under `score.<key>`
+export const SCORE_KEYS = ['listening', 'reflecting', 'curiosity', 'tone'];
@@ -0,0 +1,116 @@
+/**
+ * The dialogue's shared record and turn position, as a reducer for
+ * useReducer in App.jsx:
+ *
+ *   {
+ *     messages,              // Public transcript (synced, persisted, exported)
+ *     phase, turn, turnIndex,
+ *     rejections: { A, B },  // Moderation rejections per participant
+ *     memory,                // Guide's summary of the closed phases (see ai/memory.js), or null
+ *     privateHint            // Guide's private answer to whoever holds the device
+ *   }
+ *
+ * Guide calls, moderation and translation happen in App.jsx; actions carry
+ * their results, so every transition here is synchronous and pure. Who
+ * speaks next comes from protocols.advance(); when it returns 'end' the
+ * dialogue is over and App.jsx archives it instead of dispatching.
+ *
+ * A private hint is only ever kept in `privateHint` — no action puts it
+ * into `messages`, so it never reaches the partner, the relay or an export.
+ */
+
+export const INITIAL_DIALOGUE = Object.freeze({
+  messages: [],
+  phase: 1,
+  turn: 'A',
+  turnIndex: 0,
+  rejections: { A: 0, B: 0 },
+  memory: null,
+  privateHint: null
+});
+
+export function dialogueReducer(state, action) {
+  switch (action.type) {
+    // A new dialogue, opened by Guide's welcome
+    case 'start':
+      return { ...INITIAL_DIALOGUE, messages: [action.welcome], phase: action.phase, turn: action.turn };
+
+    // A resumed, archived or remote session; the partner's state replaces ours
+    case 'load':
+      return {
+        messages: action.session.messages,
+        phase: action.session.phase,
+        turn: action.session.turn,
+        turnIndex: action.session.turnIndex || 0,
+        rejections: action.session.rejections || INITIAL_DIALOGUE.rejections,
+        memory: action.session.memory || null,
+        privateHint: action.keepHint ? state.privateHint : null
+      };
+
+    case 'reset':
+      return INITIAL_DIALOGUE;
+
+    // private_guide: the answer is for the asker only
+    case 'hint':
+      return { ...state, privateHint: action.text };
+
+    // public_guide: the question goes in before Guide answers ('guide'); the turn stays where it is
+    case 'question':
+      return { ...state, messages: [...state.messages, action.message] };
+
+    // A question withdrawn because its answer was cancelled
+    case 'withdraw':
+      return { ...state, messages: state.messages.filter(m => m.id !== action.id) };
+
+    case 'rejected':
+      return { ...state, rejections: { ...state.rejections, [action.speaker]: state.rejections[action.speaker] + 1 } };
+
+    // partner: a committed turn (plus any Guide message it triggered). The
+    // turn moves on with a separate 'advance' once it may (see App.jsx).
+    case 'sent':
+      return { ...state, messages: [...state.messages, action.message, ...(action.extra || [])], privateHint: null };
+
+    // Guide's summary after a phase boundary. It arrives late, so it's dropped
+    // unless it covers more than the memory we have and only closed phases
+    // (a reset or a newer summary may have come in meanwhile).
+    case 'remembered': {
+      const { memory } = action;
+      if (memory.throughPhase >= state.phase || memory.throughPhase <= (state.memory?.throughPhase ?? 0)) return state;
+      return { ...state, memory };
+    }
+
+    // Guide messages outside the turn flow (answers, nudges, interventions, facilitators)
+    case 'guide':
+      return { ...state, messages: [...state.messages, action.message] };
+
+    case 'update-message':
+      return { ...state, messages: state.messages.map(m => m.id === action.id ? { ...m, ...action.changes } : m) };
+
+    // An offline placeholder transition reworded by Guide, unless someone already answered it
+    case 'reworded': {
+      const index = state.messages.findIndex(m => m.id === action.id);
+      const answered = state.messages.slice(index + 1).some(m => m.sender !== 'guide');
+      return {
+        ...state,
+        messages: state.messages.map(m => {
+          if (m.id !== action.id) return m;
+          const { queued, ...placeholder } = m;
+          return answered ? placeholder : { ...placeholder, ...action.changes };
+        })
+      };
+    }
+
+    // `next` is what protocols.advance() decided: the next speaker in this
+    // phase, or the next phase opened by Guide's transition in `messages`
+    case 'advance': {
+      const { next, messages = [] } = action;
+      const withMessages = [...state.messages, ...messages];
+      if (next.type === 'turn') return { ...state, messages: withMessages, turn: next.turn, turnIndex: next.turnIndex };
+      if (next.type === 'phase') return { ...state, messages: withMessages, phase: next.phase, turn: next.turn, turnIndex: 0 };
+      return state;
+    }
+
+    default:
+      throw new Error(`Unknown dialogue action: ${action.type}`);
+  }
+}
@@ -0,0 +1,187 @@
+import { computeCivilityProfile } from './civility.js';
+import { normalizeTopic } from './topics.js';
+import { getProtocol, PHASES } from './protocols.js';
+
+/**
+ * Dialogue transcripts for participants and facilitators to keep.
+ *
+ * buildSessionRecord() turns a session into a plain record; the formatters
+ * render it as Markdown, JSON or a printable HTML page. Only what is in the
+ * shared `messages` list is exported — private Guide hints live in component
+ * state and never reach it.
+ */
+
+export const EXPORT_FORMAT_VERSION = 1;
+export const EXPORT_FORMATS = ['markdown', 'json', 'html'];
+
+const SHARED_INSIGHT_PHASE_ID = 5;
+
+const phaseTitle = (id) => PHASES.find(p => p.id === id)?.title || '';
+
+/**
+ * The messages the recap summarizes: the Shared Insight step, or the whole
+ * dialogue when the protocol skipped it.
+ */
+export function insightMessages(messages) {
+  const insight = messages.filter(m => m.phase === SHARED_INSIGHT_PHASE_ID && m.sender !== 'guide');
+  return insight.length ? insight : messages;
+}
+
+export function buildSessionRecord({ id, topic, protocolId, languages, messages, rejections, startedAt }, { recap = null } = {}) {
+  const protocol = getProtocol(protocolId);
+  const civility = computeCivilityProfile(messages, rejections || { A: 0, B: 0 });
+  return {
+    format: 'y-platform-session',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id,
+      topic: normalizeTopic(topic),
+      protocol: { id: protocol.id, name: protocol.name },
+      languages,
+      startedAt: startedAt ? new Date(startedAt).toISOString() : null
+    },
+    recap,
+    civility: Object.fromEntries(['A', 'B'].map(sender => [sender, {
+      overall: civility[sender].overall,
+      scores: civility[sender].scores,
+      speakingTime: civility[sender].speakingTime,
+      turns: civility[sender].turns
+    }])),
+    messages: messages
+      .filter(m => m.sender === 'A' || m.sender === 'B' || m.sender === 'guide')
+      .map(m => ({
+        id: String(m.id),
+        phase: m.phase,
+        phaseTitle: phaseTitle(m.phase),
+        sender: m.sender,
+        isToGuide: Boolean(m.isToGuide),
+        text: m.text,
+        ...(m.recognizedText && m.recognizedText.trim() !== m.text.trim() ? { recognizedText: m.recognizedText } : {}),
+        lang: m.lang,
+        ...(m.translations ? { translations: m.translations } : {}),
+        ...(m.reflection ? { reflection: { accuracy: m.reflection.accuracy, level: m.reflection.level, status: m.reflection.status, correction: m.reflection.correction?.text || null } } : {}),
+        audioLength: m.audioLength || 0
+      }))
+  };
+}
+
+// --- FORMATTERS ---
+// `t` is the catalog translator of whoever exports (see i18n/), `lang` picks
+// which translation to show next to each original.
+
+const speaker = (m, t) => m.sender === 'guide' ? t('chat.guide') : t('participant', { id: m.sender });
+
+const translationFor = (m, lang) => m.lang !== lang ? m.translations?.[lang] : null;
+
+const groupByPhase = (messages) => messages.reduce((groups, m) => {
+  const last = groups[groups.length - 1];
+  if (last && last.phase === m.phase) last.messages.push(m);
+  else groups.push({ phase: m.phase, title: m.phaseTitle, messages: [m] });
+  return groups;
+}, []);
+
+export function toMarkdown(record, { t, lang }) {
+  const { session, recap, messages, civility } = record;
+  const lines = [
+    `# ${session.topic.title}`,
+    '',
+    `${t('export.protocol')}: ${session.protocol.name}  `,
+    ...(session.startedAt ? [`${t('export.date')}: ${new Date(session.startedAt).toLocaleString(lang)}`, ''] : ['']),
+  ];
+
+  if (recap) lines.push(`## ${t('export.recap')}`, '', recap, '');
+
+  for (const group of groupByPhase(messages)) {
+    lines.push(`## ${group.title}`, '');
+    for (const m of group.messages) {
+      const meta = [m.isToGuide ? t('export.toGuide') : null, m.audioLength ? `${m.audioLength}s` : null].filter(Boolean).join(' · ');
+      lines.push(`**${speaker(m, t)}**${meta ? ` _(${meta})_` : ''}: ${m.text}`);
+      const translated = translationFor(m, lang);
+      if (translated) lines.push(`> ${translated}`);
+      lines.push('');
+    }
+  }
+
+  lines.push(`## ${t('profile.title')}`, '');
+  for (const id of ['A', 'B']) {
+    lines.push(`- ${t('participant', { id })}: ${civility[id].overall}/100 · ${civility[id].speakingTime}s`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+export const toJSON = (record) => JSON.stringify(record, null, 2);
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+export function toHTML(record, { t, lang }) {
+  const { session, recap, messages, civility } = record;
+  const message = (m) => {
+    const translated = translationFor(m, lang);
+    const meta = [m.isToGuide ? t('export.toGuide') : null, m.audioLength ? `${m.audioLength}s` : null].filter(Boolean).join(' · ');
+    return `<div class="msg ${m.sender}">
+    <div class="who">${escapeHtml(speaker(m, t))}${meta ? ` <span class="meta">${escapeHtml(meta)}</span>` : ''}</div>
+    <p>${escapeHtml(m.text)}</p>${translated ? `\n    <p class="translation">${escapeHtml(translated)}</p>` : ''}
+  </div>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(session.topic.title)}</title>
+  <style>
+    body { font-family: -apple-system, system-ui, sans-serif; color: #1e293b; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { margin-bottom: 0.25rem; }
+    .sub { color: #64748b; font-size: 0.9rem; }
+    h2 { border-bottom: 1px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2rem; page-break-after: avoid; }
+    .recap { background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 0.75rem 1rem; }
+    .msg { margin: 0.75rem 0; padding: 0.5rem 0.75rem; border-left: 4px solid #cbd5e1; page-break-inside: avoid; }
+    .msg.A { border-color: #6366f1; }
+    .msg.B { border-color: #10b981; }
+    .msg.guide { border-color: #f59e0b; background: #fffbeb; }
+    .msg p { margin: 0.25rem 0; }
+    .who { font-weight: bold; font-size: 0.85rem; }
+    .meta, .translation { color: #64748b; font-weight: normal; }
+    .translation { font-style: italic; }
+    table { border-collapse: collapse; }
+    td { padding: 0.25rem 1rem 0.25rem 0; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(session.topic.title)}</h1>
+  <p class="sub">${escapeHtml(session.protocol.name)}${session.startedAt ? ` · ${escapeHtml(new Date(session.startedAt).toLocaleString(lang))}` : ''}</p>
+${recap ? `  <h2>${escapeHtml(t('export.recap'))}</h2>\n  <div class="recap">${escapeHtml(recap)}</div>\n` : ''}${groupByPhase(messages).map(group => `  <h2>${escapeHtml(group.title)}</h2>
+  ${group.messages.map(message).join('\n  ')}`).join('\n')}
+  <h2>${escapeHtml(t('profile.title'))}</h2>
+  <table>
+    ${['A', 'B'].map(id => `<tr><td>${escapeHtml(t('participant', { id }))}</td><td>${civility[id].overall}/100</td><td>${civility[id].speakingTime}s</td></tr>`).join('\n    ')}
+  </table>
+</body>
+</html>
+`;
+}
+
+const FORMATTERS = {
+  markdown: { render: toMarkdown, type: 'text/markdown', extension: 'md' },
+  json: { render: toJSON, type: 'application/json', extension: 'json' },
+  html: { render: toHTML, type: 'text/html', extension: 'html' }
+};
+
+/**
+ * Triggers a browser download of the record in `format`.
+ */
+export function downloadSession(record, format, options) {
+  const { render, type, extension } = FORMATTERS[format];
+  const blob = new Blob([render(record, options)], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  const slug = record.session.topic.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'dialogue';
+  link.download = `${slug}-${(record.session.startedAt || record.exportedAt).slice(0, 10)}.${extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
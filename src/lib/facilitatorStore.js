@@ -0,0 +1,130 @@
+/**
+ * Session store shared between running dialogues and the facilitator
+ * dashboard (#/facilitator). This is the local implementation: everything
+ * lives in one Storage (localStorage by default), so a facilitator can watch
+ * and steer every dialogue open in other tabs of the same browser, and tests
+ * can run it against an in-memory Storage with no server at all.
+ *
+ * Dialogues publish a summary of themselves:
+ *
+ *   { id, topic, protocolId, phase, turn, rejections, airtime, tension, tensionThreshold, startedAt, paused, busy, remoteCode, status: 'active' | 'finished' }
+ *
+ * and the facilitator queues commands for them:
+ *
+ *   { type: 'guide-message', text }  post a message as Guide
+ *   { type: 'pause' } / { type: 'resume' }
+ *   { type: 'skip-phase' }           close the current phase without a transition
+ *                                    (ignored while the dialogue is `busy`: a
+ *                                    message is being sent or a reflection awaits its verdict)
+ *
+ * A dialogue left before it finished (restart, pause and exit, closing the
+ * tab) ends its entry with endSession. Entries not updated for SESSION_TTL
+ * (a crashed tab never says goodbye) are dropped from the list.
+ */
+
+const SESSIONS_KEY = 'y-platform:facilitator:sessions';
+const COMMANDS_KEY = 'y-platform:facilitator:commands';
+
+export const COMMAND_TYPES = ['guide-message', 'pause', 'resume', 'skip-phase'];
+
+export const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+// Storage-compatible in-memory backend, for tests and environments without localStorage
+export function createMemoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+/**
+ * `storage` is any Storage-like object. `events` is the target that fires
+ * `storage` events when another tab writes (window in the browser). `now`
+ * is the clock entries are stamped and expired with.
+ */
+export function createLocalSessionStore({ storage = globalThis.localStorage, events = globalThis.window, ttl = SESSION_TTL, now = Date.now } = {}) {
+  const listeners = new Set();
+
+  const read = (key, fallback) => {
+    try {
+      const raw = storage.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+      console.error("Facilitator store read error:", error);
+      return fallback;
+    }
+  };
+
+  const write = (key, value) => {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.error("Facilitator store write error:", error);
+    }
+    listeners.forEach(listener => listener());
+  };
+
+  // Writes from other tabs
+  events?.addEventListener?.('storage', (event) => {
+    if (event.key === SESSIONS_KEY || event.key === COMMANDS_KEY) listeners.forEach(listener => listener());
+  });
+
+  const isFresh = (session) => now() - session.updatedAt < ttl;
+
+  const listSessions = () =>
+    Object.values(read(SESSIONS_KEY, {})).filter(isFresh).sort((a, b) => b.updatedAt - a.updatedAt);
+
+  const getSession = (id) => {
+    const session = read(SESSIONS_KEY, {})[id];
+    return session && isFresh(session) ? session : null;
+  };
+
+  const publishSession = (summary) => {
+    const sessions = Object.fromEntries(Object.entries(read(SESSIONS_KEY, {})).filter(([, session]) => isFresh(session)));
+    write(SESSIONS_KEY, { ...sessions, [summary.id]: { ...summary, updatedAt: now() } });
+  };
+
+  const removeSession = (id) => {
+    const { [id]: removed, ...rest } = read(SESSIONS_KEY, {});
+    write(SESSIONS_KEY, rest);
+    write(COMMANDS_KEY, read(COMMANDS_KEY, []).filter(c => c.sessionId !== id));
+  };
+
+  // The dialogue was left: a finished one stays listed, an unfinished one is
+  // gone until it's resumed (and published again)
+  const endSession = (id) => {
+    if (getSession(id)?.status !== 'finished') removeSession(id);
+  };
+
+  const sendCommand = (sessionId, command) => {
+    if (!COMMAND_TYPES.includes(command.type)) throw new Error(`Unknown facilitator command "${command.type}"`);
+    const queued = { ...command, id: `${now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, sessionId, sentAt: now() };
+    write(COMMANDS_KEY, [...read(COMMANDS_KEY, []), queued]);
+    return queued;
+  };
+
+  // Hands the dialogue its queued commands (oldest first) and removes them
+  const takeCommands = (sessionId) => {
+    const commands = read(COMMANDS_KEY, []);
+    const mine = commands.filter(c => c.sessionId === sessionId);
+    if (mine.length) write(COMMANDS_KEY, commands.filter(c => c.sessionId !== sessionId));
+    return mine;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { listSessions, getSession, publishSession, removeSession, endSession, sendCommand, takeCommands, subscribe };
+}
+
+let defaultStore = null;
+
+// The browser's store, created on first use
+export const getFacilitatorStore = () => {
+  if (!defaultStore) defaultStore = createLocalSessionStore();
+  return defaultStore;
+};
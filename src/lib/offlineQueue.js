@@ -0,0 +1,54 @@
+/**
+ * Guide requests made while offline (or while Guide couldn't be reached on
+ * a poor connection), kept in localStorage until the connection returns or
+ * Guide answers again, and App.jsx replays them. Only transitions are queued:
+ * moderation falls back to the local pre-filter and translations are simply
+ * skipped, but a transition deserves Guide's own wording once it's possible.
+ *
+ * Items are { id, sessionId, type: 'transition', request, queuedAt }, where
+ * `request` holds whatever the replay needs to repeat the call.
+ */
+
+const QUEUE_KEY = 'y-platform:offline-queue';
+
+export function createOfflineQueue({ storage = globalThis.localStorage } = {}) {
+  const read = () => {
+    try {
+      return JSON.parse(storage.getItem(QUEUE_KEY) || '[]');
+    } catch (error) {
+      console.error("Offline queue read error:", error);
+      return [];
+    }
+  };
+
+  const write = (items) => {
+    try {
+      storage.setItem(QUEUE_KEY, JSON.stringify(items));
+    } catch (error) {
+      console.error("Offline queue write error:", error);
+    }
+  };
+
+  const enqueue = (sessionId, type, request) => {
+    const item = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, sessionId, type, request, queuedAt: Date.now() };
+    write([...read(), item]);
+    return item;
+  };
+
+  // Oldest first
+  const list = (sessionId) => read().filter(item => item.sessionId === sessionId);
+
+  const remove = (id) => write(read().filter(item => item.id !== id));
+
+  const clear = (sessionId) => write(read().filter(item => item.sessionId !== sessionId));
+
+  return { enqueue, list, remove, clear };
+}
+
+let defaultQueue = null;
+
+// The browser's queue, created on first use
+export const getOfflineQueue = () => {
+  if (!defaultQueue) defaultQueue = createOfflineQueue();
+  return defaultQueue;
+};
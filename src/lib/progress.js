@@ -0,0 +1,125 @@
+import { computeCivilityProfile } from './civility.js';
+import { computeAirtime } from './airtime.js';
+
+/**
+ * Progress over time for a user profile (see storage.js). Each finished
+ * dialogue is stored as a small summary rather than the transcript:
+ *
+ *   {
+ *     sessionId, date,
+ *     topic: { id, title },
+ *     overall, scores,          // That participant's Civility Profile
+ *     rejections,               // Moderation rejections
+ *     reflectionAccuracy,       // Mean accuracy of their checked reflections, or null
+ *     airtimeShare              // Their share of the speaking time, 0-100
+ *   }
+ *
+ * computeProgress turns a list of them into trends, streaks and badges.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const TREND_WINDOW = 3;   // Latest dialogues compared against the ones before them
+const TREND_MIN_DELTA = 3; // Smaller moves than this (in score points) read as steady
+
+export function dialogueSummary(session, role) {
+  const profile = computeCivilityProfile(session.messages, session.rejections)[role];
+  const checks = session.messages.filter(m => m.sender === role && m.reflection && m.reflection.status !== 'pending');
+  const airtime = computeAirtime(session.messages);
+  const totalAirtime = airtime.A + airtime.B;
+  return {
+    sessionId: session.id,
+    date: session.updatedAt || Date.now(),
+    topic: { id: session.topic.id, title: session.topic.title },
+    overall: profile.overall,
+    scores: profile.scores,
+    rejections: profile.rejections,
+    reflectionAccuracy: checks.length ? Math.round(checks.reduce((sum, m) => sum + m.reflection.accuracy, 0) / checks.length) : null,
+    airtimeShare: totalAirtime ? Math.round((airtime[role] / totalAirtime) * 100) : 50
+  };
+}
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+// 'up' | 'down' | 'steady', or null until there are two windows to compare
+const trend = (values, minDelta = TREND_MIN_DELTA) => {
+  if (values.length < TREND_WINDOW + 1) return null;
+  const recent = mean(values.slice(-TREND_WINDOW));
+  const before = mean(values.slice(-2 * TREND_WINDOW, -TREND_WINDOW));
+  const delta = recent - before;
+  return Math.abs(delta) < minDelta ? 'steady' : delta > 0 ? 'up' : 'down';
+};
+
+// Monday 00:00 (local time) of the week `date` falls in
+const weekStart = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+};
+
+/**
+ * Consecutive weeks with at least one dialogue, counting back from this week
+ * (or last week, so a streak isn't lost before the week is over).
+ */
+export function weeklyStreak(dates, now = Date.now()) {
+  const weeks = new Set(dates.map(weekStart));
+  let week = weekStart(now);
+  if (!weeks.has(week)) week = weekStart(week - DAY);
+  let streak = 0;
+  while (weeks.has(week)) {
+    streak++;
+    week = weekStart(week - DAY);
+  }
+  return streak;
+}
+
+// Dialogues in a row, most recent first, that passed `test`
+const runLength = (dialogues, test) => {
+  let run = 0;
+  for (let i = dialogues.length - 1; i >= 0 && test(dialogues[i]); i--) run++;
+  return run;
+};
+
+const isBalanced = (d) => d.airtimeShare >= 35 && d.airtimeShare <= 65;
+
+// Checked in order; `earned` gets the computed progress
+export const BADGES = [
+  { id: 'first-dialogue', earned: (p) => p.dialogues >= 1 },
+  { id: 'clean-record', earned: (p) => p.cleanStreak >= 3 },
+  { id: 'good-listener', earned: (p) => p.averages.reflectionAccuracy >= 75 && p.reflectionChecks >= 2 },
+  { id: 'balanced', earned: (p) => p.balancedStreak >= 3 },
+  { id: 'explorer', earned: (p) => p.topics.length >= 5 },
+  { id: 'streak', earned: (p) => p.weeklyStreak >= 4 }
+];
+
+export function computeProgress(dialogues, now = Date.now()) {
+  const sorted = [...dialogues].sort((a, b) => a.date - b.date);
+  const accuracies = sorted.map(d => d.reflectionAccuracy).filter(a => a !== null);
+  const topics = [...new Map(sorted.map(d => [d.topic.id, d.topic])).values()];
+
+  const progress = {
+    dialogues: sorted.length,
+    series: sorted.map(d => d.overall),
+    averages: {
+      overall: Math.round(mean(sorted.map(d => d.overall)) ?? 0),
+      reflectionAccuracy: accuracies.length ? Math.round(mean(accuracies)) : null,
+      airtimeShare: Math.round(mean(sorted.map(d => d.airtimeShare)) ?? 50)
+    },
+    trends: {
+      overall: trend(sorted.map(d => d.overall)),
+      reflectionAccuracy: trend(accuracies),
+      // Fewer rejections is better, so the trend is of their negative; half a rejection per dialogue is a move
+      rejections: trend(sorted.map(d => -d.rejections), 0.5),
+      // Closer to an even split is better
+      balance: trend(sorted.map(d => -Math.abs(d.airtimeShare - 50)))
+    },
+    totalRejections: sorted.reduce((sum, d) => sum + d.rejections, 0),
+    reflectionChecks: accuracies.length,
+    topics,
+    weeklyStreak: weeklyStreak(sorted.map(d => d.date), now),
+    cleanStreak: runLength(sorted, d => d.rejections === 0),
+    balancedStreak: runLength(sorted, isBalanced)
+  };
+  progress.badges = BADGES.filter(b => b.earned(progress)).map(b => b.id);
+  return progress;
+}
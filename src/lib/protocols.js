@@ -0,0 +1,165 @@
+/**
+ * Dialogue protocols: which phases run, who speaks in what order, how many
+ * turns each person takes per phase and when a phase is allowed to end.
+ *
+ * A protocol is plain data:
+ *
+ *   {
+ *     id, name, description,
+ *     speakerOrder: ['A', 'B'],     // who speaks first within a phase
+ *     turnsPerSpeaker: 1,           // default turns each speaker takes per phase
+ *     turnSeconds: 120,             // default speaking time limit for one turn
+ *     phases: [{ ...phase, turnsPerSpeaker?, speakerOrder?, turnSeconds?, exit? }]
+ *   }
+ *
+ * `exit` adds conditions on top of "every scheduled turn was taken":
+ *   { minSeconds }  combined speaking time the phase needs before it can close
+ *   { maxRounds }   hard cap on extra rounds while waiting for minSeconds
+ *
+ * The dialogue ends when the last phase closes.
+ */
+
+// --- PHASE LIBRARY ---
+// Phase ids are shared across protocols, so topic prompt overrides and the
+// Civility Profile (which looks for the Perspective Mirror, id 3) keep working.
+
+export const PHASES = [
+  {
+    id: 1,
+    title: "Curiosity Ignition",
+    goal: "Surface initial views and motivations without debate",
+    staticPrompt: (t) => `To get us started, could you share a personal story? When did "${t}" start to matter to you personally?`
+  },
+  {
+    id: 2,
+    title: "Context Exchange",
+    goal: "Share lived context or formative experience",
+    staticPrompt: (t) => `Can you describe an experience that shaped how YOU see this issue? What was happening in your life at the time?`
+  },
+  {
+    id: 3,
+    title: "Perspective Mirror",
+    goal: "Reflect back what you heard (active listening check)",
+    staticPrompt: (t) => `Before exploring differences, reflect back what you heard the other person say. Focus on their values.`
+  },
+  {
+    id: 4,
+    title: "Gentle Contrast",
+    goal: "Notice differences without arguing",
+    staticPrompt: (t) => `Where do you think your perspectives diverge? Not what's 'right' or 'wrong' — just where you differ.`
+  },
+  {
+    id: 5,
+    title: "Shared Insight",
+    goal: "Find overlap or human commonality",
+    staticPrompt: (t) => `Despite your different perspectives, what do you hear in common?`
+  },
+  {
+    id: 6,
+    title: "Reflection & Close",
+    goal: "Capture takeaway and update Civility Profile",
+    staticPrompt: (t) => `What surprised you about the other perspective? What might you carry forward?`
+  }
+];
+
+const phaseById = (id) => PHASES.find(p => p.id === id);
+
+// --- PROTOCOLS ---
+
+export const PROTOCOLS = [
+  {
+    id: 'standard',
+    name: 'Six-Phase Dialogue',
+    description: 'The full arc from curiosity to reflection, one turn each per phase.',
+    speakerOrder: ['A', 'B'],
+    turnsPerSpeaker: 1,
+    turnSeconds: 120,
+    phases: PHASES
+  },
+  {
+    id: 'checkin',
+    name: 'Three-Phase Check-in',
+    description: 'Open up, mirror each other, reflect.',
+    speakerOrder: ['A', 'B'],
+    turnsPerSpeaker: 1,
+    turnSeconds: 90,
+    phases: [1, 3, 6].map(phaseById)
+  },
+  {
+    id: 'deep',
+    name: 'Deep Dialogue',
+    description: 'All six phases with two turns each and extra room for lived context.',
+    speakerOrder: ['A', 'B'],
+    turnsPerSpeaker: 2,
+    turnSeconds: 150,
+    phases: PHASES.map(phase => phase.id === 2
+      ? { ...phase, turnSeconds: 240, exit: { minSeconds: 180, maxRounds: 2 } } // Give lived context room to breathe
+      : phase)
+  }
+];
+
+export const DEFAULT_PROTOCOL_ID = 'standard';
+
+export const getProtocol = (id) => PROTOCOLS.find(p => p.id === id) || PROTOCOLS[0];
+
+export const getPhase = (protocol, phaseId) => protocol.phases.find(p => p.id === phaseId);
+
+export const phaseIndex = (protocol, phaseId) => protocol.phases.findIndex(p => p.id === phaseId);
+
+/**
+ * The speaking order for one round of a phase, e.g. ['A', 'B', 'A', 'B'].
+ */
+export function phaseSequence(protocol, phase) {
+  const order = phase.speakerOrder || protocol.speakerOrder;
+  const turns = phase.turnsPerSpeaker || protocol.turnsPerSpeaker || 1;
+  return Array.from({ length: turns }, () => order).flat();
+}
+
+// Seconds before the end of a turn when the speaker is warned
+export const TURN_WARNING_SECONDS = 15;
+
+const DEFAULT_TURN_SECONDS = 120;
+
+/**
+ * Speaking time limit for one turn in a phase, in seconds.
+ */
+export const turnLimit = (protocol, phaseId) =>
+  getPhase(protocol, phaseId)?.turnSeconds || protocol.turnSeconds || DEFAULT_TURN_SECONDS;
+
+export const firstSpeaker = (protocol, phaseId) => phaseSequence(protocol, getPhase(protocol, phaseId))[0];
+
+const exitMet = (phase, phaseMessages, roundsDone) => {
+  const { minSeconds, maxRounds = 1 } = phase.exit || {};
+  if (!minSeconds || roundsDone >= maxRounds) return true;
+  const spoken = phaseMessages.reduce((sum, m) => sum + (m.audioLength || 0), 0);
+  return spoken >= minSeconds;
+};
+
+/**
+ * Works out what happens after the speaker at `turnIndex` finished a turn.
+ * `messages` must already include that turn.
+ *
+ * Returns one of:
+ *   { type: 'turn', turn, turnIndex }   same phase, next speaker
+ *   { type: 'phase', phase, turn }      phase closed, next phase starts with `turn`
+ *   { type: 'end' }                     last phase closed
+ */
+export function advance(protocol, { phase: phaseId, turnIndex, messages }) {
+  const phase = getPhase(protocol, phaseId);
+  const sequence = phaseSequence(protocol, phase);
+  const nextIndex = turnIndex + 1;
+
+  if (nextIndex % sequence.length !== 0) {
+    return { type: 'turn', turn: sequence[nextIndex % sequence.length], turnIndex: nextIndex };
+  }
+
+  // A full round is done — close the phase unless its exit conditions ask for another
+  const phaseMessages = messages.filter(m => m.phase === phaseId && (m.sender === 'A' || m.sender === 'B') && !m.isToGuide);
+  if (!exitMet(phase, phaseMessages, nextIndex / sequence.length)) {
+    return { type: 'turn', turn: sequence[0], turnIndex: nextIndex };
+  }
+
+  const next = protocol.phases[phaseIndex(protocol, phaseId) + 1];
+  if (!next) return { type: 'end' };
+  return { type: 'phase', phase: next.id, turn: firstSpeaker(protocol, next.id) };
+}
@@ -0,0 +1,126 @@
+/**
+ * Local persistence for dialogues. Everything lives in localStorage so a page
+ * refresh (or an iOS suspend under Capacitor) doesn't lose the conversation.
+ *
+ * - The in-progress dialogue is a single snapshot under ACTIVE_KEY.
+ * - Finished dialogues are appended to the history list under HISTORY_KEY.
+ * - Custom and imported topic packs live under TOPIC_PACKS_KEY.
+ * - User profiles, each with a summary of every dialogue they finished,
+ *   live under PROFILES_KEY (see progress.js for what is summarized).
+ */
+
+const ACTIVE_KEY = 'y-platform:active-session';
+const HISTORY_KEY = 'y-platform:history';
+const TOPIC_PACKS_KEY = 'y-platform:topic-packs';
+const PROFILES_KEY = 'y-platform:profiles';
+const MAX_HISTORY = 50;
+const MAX_PROFILE_DIALOGUES = 200;
+
+const read = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.error("Storage read error:", error);
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Quota errors or private mode — the dialogue keeps working, just unsaved
+    console.error("Storage write error:", error);
+  }
+};
+
+export const createSessionId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function saveActiveSession(snapshot) {
+  write(ACTIVE_KEY, { ...snapshot, updatedAt: Date.now() });
+}
+
+export function loadActiveSession() {
+  return read(ACTIVE_KEY, null);
+}
+
+export function clearActiveSession() {
+  localStorage.removeItem(ACTIVE_KEY);
+}
+
+/**
+ * Moves a finished dialogue into the history list (newest first) and
+ * drops the active snapshot.
+ */
+export function archiveSession(snapshot) {
+  const history = listSessions().filter(s => s.id !== snapshot.id);
+  const finished = { ...snapshot, status: 'complete', updatedAt: Date.now() };
+  write(HISTORY_KEY, [finished, ...history].slice(0, MAX_HISTORY));
+  clearActiveSession();
+  return finished;
+}
+
+export function listSessions() {
+  return read(HISTORY_KEY, []);
+}
+
+export function getSession(id) {
+  return listSessions().find(s => s.id === id) || null;
+}
+
+// --- TOPIC PACKS ---
+
+export function listTopicPacks() {
+  return read(TOPIC_PACKS_KEY, []);
+}
+
+/**
+ * Adds or replaces a pack (matched by id).
+ */
+export function saveTopicPack(pack) {
+  const packs = listTopicPacks().filter(p => p.id !== pack.id);
+  write(TOPIC_PACKS_KEY, [...packs, pack]);
+}
+
+export function deleteTopicPack(id) {
+  write(TOPIC_PACKS_KEY, listTopicPacks().filter(p => p.id !== id));
+}
+
+// --- USER PROFILES ---
+
+export function listProfiles() {
+  return read(PROFILES_KEY, []);
+}
+
+export function getProfile(id) {
+  return listProfiles().find(p => p.id === id) || null;
+}
+
+export function createProfile(name) {
+  const profile = { id: createSessionId(), name: name.trim(), createdAt: Date.now(), dialogues: [] };
+  write(PROFILES_KEY, [...listProfiles(), profile]);
+  return profile;
+}
+
+export function deleteProfile(id) {
+  write(PROFILES_KEY, listProfiles().filter(p => p.id !== id));
+}
+
+/**
+ * Adds a dialogue summary to a profile, replacing an earlier one for the
+ * same session (a remote dialogue can finish on both devices). Unknown
+ * profiles — a partner's, on a shared-room device — are ignored.
+ */
+export function recordProfileDialogue(profileId, summary) {
+  const profiles = listProfiles();
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return null;
+  const dialogues = [...profile.dialogues.filter(d => d.sessionId !== summary.sessionId), summary]
+    .sort((a, b) => a.date - b.date)
+    .slice(-MAX_PROFILE_DIALOGUES);
+  const updated = { ...profile, dialogues };
+  write(PROFILES_KEY, profiles.map(p => p.id === profileId ? updated : p));
+  return updated;
+}
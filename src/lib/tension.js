@@ -0,0 +1,62 @@
+/**
+ * Per-session tension score (0-100), raised by moderation rejections and
+ * heated phrasing, and eased by calm turns. When it crosses TENSION.threshold
+ * Guide steps in publicly and offers a cooling-off break (see App.jsx).
+ *
+ * The phrasing cues are English only; in other languages the score moves on
+ * moderation results, which cover every language, and on calm-turn decay.
+ */
+
+export const TENSION = {
+  threshold: 50,        // Guide intervenes when the score rises past this
+  afterBreak: 20,       // Where a cooling-off break leaves the score
+  breakSeconds: 120,    // Length of a cooling-off break
+  calmDecay: 6          // Eased by every turn without heated phrasing
+};
+
+// Added per rejection; unavailable checks and instructions to Guide aren't tension between people
+const SEVERITY_WEIGHTS = { low: 10, medium: 25, high: 40 };
+const IGNORED_CATEGORIES = ['unavailable', 'manipulation'];
+
+const ESCALATING_CUES = [
+  'you always', 'you never', 'how dare', 'ridiculous', 'nonsense', 'unbelievable', 'whatever',
+  'sick of', 'fed up', 'give me a break', 'are you serious', 'typical', 'of course you'
+];
+
+const CALMING_CUES = [
+  'i understand', 'i hear you', 'fair point', 'good point', 'thank you', 'thanks for', 'i appreciate',
+  'that makes sense', 'i agree', 'i see what you mean', 'i can see why'
+];
+
+const clamp = (n) => Math.max(0, Math.min(100, Math.round(n)));
+
+const countCues = (lower, cues) => cues.reduce((n, cue) => n + (lower.includes(cue) ? 1 : 0), 0);
+
+// Words of three or more letters written in capitals
+const shoutedWords = (text) => (text.match(/\b[A-Z]{3,}\b/g) || []).length;
+
+/**
+ * How much an approved turn moves the score: up for heated phrasing, down
+ * for a calm or conciliatory one.
+ */
+export function turnDelta(text) {
+  const lower = text.toLowerCase();
+  const heat = Math.min(3, countCues(lower, ESCALATING_CUES)) * 8
+    + Math.min(2, shoutedWords(text)) * 4
+    + ((text.match(/!/g) || []).length >= 2 ? 4 : 0);
+  if (heat) return heat;
+  return -(TENSION.calmDecay + countCues(lower, CALMING_CUES) * 6);
+}
+
+export function rejectionDelta(result) {
+  if (result.status !== 'rejected' || IGNORED_CATEGORIES.includes(result.category)) return 0;
+  return SEVERITY_WEIGHTS[result.severity] || 0;
+}
+
+export const applyDelta = (score, delta) => clamp(score + delta);
+
+// The score has just risen past the threshold
+export const crossesThreshold = (before, after, threshold = TENSION.threshold) => before < threshold && after >= threshold;
+
+// Pass the style's threshold (see ai/styles.js) so the level agrees with when Guide steps in
+export const tensionLevel = (score, threshold = TENSION.threshold) => score >= threshold ? 'high' : score >= threshold / 2 ? 'rising' : 'calm';
@@ -0,0 +1,119 @@
+/**
+ * Topics and topic packs.
+ *
+ * A topic is { id, title, description?, facts?: string[], prompts?: { [phaseId]: string } }.
+ * `prompts` overrides the default question Guide asks at the start of a phase.
+ * Topics ship in packs — { id, name, version, topics } — which facilitators
+ * can export as JSON and import on another device. Topic ids are namespaced
+ * by their pack (`packId:topic`), so packs never share one.
+ */
+
+export const PACK_FORMAT_VERSION = 1;
+
+export const BUILT_IN_PACK = {
+  id: 'builtin',
+  name: 'Starter Topics',
+  version: PACK_FORMAT_VERSION,
+  builtIn: true,
+  topics: [
+    { id: 'builtin:immigration', title: 'Immigration Policy' },
+    { id: 'builtin:climate', title: 'Climate Change' },
+    { id: 'builtin:healthcare', title: 'Healthcare Access' },
+    { id: 'builtin:economy', title: 'Economic Fairness' }
+  ]
+};
+
+export const CUSTOM_PACK_ID = 'custom';
+
+export const createTopicId = (packId) => `${packId}:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Sessions saved before topics had details stored a plain string.
+ */
+export const normalizeTopic = (topic) =>
+  typeof topic === 'string' ? { id: topic, title: topic } : topic;
+
+/**
+ * Default question for a phase, unless the topic overrides it.
+ */
+export const phasePrompt = (phase, topic) =>
+  topic.prompts?.[phase.id]?.trim() || phase.staticPrompt(topic.title);
+
+// Topic id within its pack, whatever namespace it was exported under
+const localTopicId = (raw) => typeof raw.id === 'string' && raw.id.split(':').pop().trim();
+
+const cleanTopic = (raw, packId, index) => {
+  if (!raw || typeof raw.title !== 'string' || !raw.title.trim()) {
+    throw new Error(`Topic ${index + 1} needs a title.`);
+  }
+  const facts = Array.isArray(raw.facts) ? raw.facts.filter(f => typeof f === 'string' && f.trim()).map(f => f.trim()) : [];
+  const prompts = {};
+  if (raw.prompts && typeof raw.prompts === 'object') {
+    Object.entries(raw.prompts).forEach(([phaseId, prompt]) => {
+      if (typeof prompt === 'string' && prompt.trim()) prompts[phaseId] = prompt.trim();
+    });
+  }
+  return {
+    id: localTopicId(raw) ? `${packId}:${localTopicId(raw)}` : createTopicId(packId),
+    title: raw.title.trim(),
+    ...(typeof raw.description === 'string' && raw.description.trim() ? { description: raw.description.trim() } : {}),
+    ...(facts.length ? { facts } : {}),
+    ...(Object.keys(prompts).length ? { prompts } : {})
+  };
+};
+
+const RESERVED_PACK_IDS = [BUILT_IN_PACK.id, CUSTOM_PACK_ID];
+
+/**
+ * Parses and validates an imported topic pack. Throws an Error with a
+ * user-facing message when the file isn't a usable pack.
+ *
+ * `existingIds` are the ids of the packs already saved: an import never
+ * replaces one of them (or "My Topics"), it gets a fresh id instead.
+ */
+export function parseTopicPack(text, existingIds = []) {
+  let raw;
+  try { raw = JSON.parse(text); }
+  catch (e) { throw new Error("This file isn't valid JSON."); }
+
+  if (!raw || !Array.isArray(raw.topics) || !raw.topics.length) {
+    throw new Error('A topic pack needs a non-empty "topics" list.');
+  }
+  if (raw.version && raw.version > PACK_FORMAT_VERSION) {
+    throw new Error('This topic pack was made with a newer version of the app.');
+  }
+
+  const id = typeof raw.id === 'string' && raw.id && !RESERVED_PACK_IDS.includes(raw.id) && !existingIds.includes(raw.id)
+    ? raw.id
+    : `pack-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const topics = raw.topics.map((topic, i) => cleanTopic(topic, id, i));
+  // Two topics with the same id in one file: the later ones get fresh ids
+  const seen = new Set();
+  return {
+    id,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Imported Topics',
+    version: PACK_FORMAT_VERSION,
+    topics: topics.map(topic => {
+      const unique = seen.has(topic.id) ? { ...topic, id: createTopicId(id) } : topic;
+      seen.add(unique.id);
+      return unique;
+    })
+  };
+}
+
+export function serializeTopicPack({ id, name, topics }) {
+  return JSON.stringify({ id, name, version: PACK_FORMAT_VERSION, topics }, null, 2);
+}
+
+/**
+ * Triggers a browser download of the pack as a .json file.
+ */
+export function downloadTopicPack(pack) {
+  const blob = new Blob([serializeTopicPack(pack)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.topics.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -1,10 +1,34 @@
-import { StrictMode } from 'react'
+import { StrictMode, useEffect, useState } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import FacilitatorDashboard from './components/FacilitatorDashboard.jsx'
+
+const FACILITATOR_ROUTE = '#/facilitator'
+
+function Root() {
+  const [hash, setHash] = useState(window.location.hash)
+
+  useEffect(() => {
+    const onHashChange = () => setHash(window.location.hash)
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+
+  return hash === FACILITATOR_ROUTE ? <FacilitatorDashboard /> : <App />
+}
+
+// Offline app shell (public/sw.js); left out of dev so Vite's hot reload isn't cached
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Root />
   </StrictMode>,
 )
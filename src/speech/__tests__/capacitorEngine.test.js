@@ -0,0 +1,88 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+
+const { plugin } = vi.hoisted(() => ({ plugin: {} }));
+
+vi.mock('@capacitor-community/speech-recognition', () => ({ SpeechRecognition: plugin }));
+
+const { createCapacitorEngine } = await import('../capacitorEngine.js');
+const { useSpeechRecognition } = await import('../../hooks/useSpeechRecognition.js');
+
+// The plugin's event listeners, so tests can play native events
+const listeners = {};
+
+beforeEach(() => {
+  Object.assign(plugin, {
+    available: async () => ({ available: true }),
+    requestPermissions: async () => ({ speechRecognition: 'denied' }),
+    removeAllListeners: vi.fn(async () => {}),
+    addListener: vi.fn(async (event, listener) => { listeners[event] = listener; }),
+    start: vi.fn(async () => {}),
+    stop: vi.fn(async () => {})
+  });
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('Capacitor speech engine', () => {
+  it('rejects and reports not-allowed when microphone permission is denied', async () => {
+    const onError = vi.fn();
+    await expect(createCapacitorEngine().start({ onResult: vi.fn(), onError, onEnd: vi.fn() })).rejects.toThrow('not-allowed');
+    expect(onError).toHaveBeenCalledWith({ code: 'not-allowed' });
+    expect(plugin.start).not.toHaveBeenCalled();
+  });
+
+  it('rejects when the plugin fails to start', async () => {
+    plugin.requestPermissions = async () => ({ speechRecognition: 'granted' });
+    plugin.start = vi.fn(async () => { throw new Error('busy'); });
+    const onError = vi.fn();
+    await expect(createCapacitorEngine().start({ onResult: vi.fn(), onError, onEnd: vi.fn() })).rejects.toThrow('busy');
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'start-failed' }));
+  });
+
+  it('listens again after the native recognizer stops on silence, keeping what it heard', async () => {
+    plugin.requestPermissions = async () => ({ speechRecognition: 'granted' });
+    const onResult = vi.fn();
+    const onEnd = vi.fn();
+    const engine = createCapacitorEngine();
+    await engine.start({ lang: 'fr-FR', onResult, onError: vi.fn(), onEnd });
+
+    listeners.partialResults({ matches: ['Bonjour'] });
+    listeners.listeningState({ status: 'stopped' });
+    await vi.waitFor(() => expect(plugin.start).toHaveBeenCalledTimes(2));
+    expect(plugin.start).toHaveBeenLastCalledWith(expect.objectContaining({ language: 'fr-FR' }));
+    expect(onResult).toHaveBeenCalledWith({ finalText: 'Bonjour', interim: '' });
+    expect(onEnd).not.toHaveBeenCalled();
+
+    listeners.partialResults({ matches: ['à tous'] });
+    await engine.stop();
+    expect(onResult).toHaveBeenLastCalledWith({ finalText: 'à tous', interim: '' });
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    listeners.listeningState({ status: 'stopped' }); // Late native event after stop()
+    expect(plugin.start).toHaveBeenCalledTimes(2);
+  });
+
+  it('ends when listening cannot be restarted', async () => {
+    plugin.requestPermissions = async () => ({ speechRecognition: 'granted' });
+    const onError = vi.fn();
+    const onEnd = vi.fn();
+    await createCapacitorEngine().start({ onResult: vi.fn(), onError, onEnd });
+    plugin.start = vi.fn(async () => { throw new Error('busy'); });
+
+    listeners.listeningState({ status: 'stopped' });
+    await vi.waitFor(() => expect(onEnd).toHaveBeenCalled());
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'restart-failed' }));
+  });
+
+  it('leaves useSpeechRecognition idle with a denied microphone', async () => {
+    const engine = createCapacitorEngine();
+    const { result } = renderHook(() => useSpeechRecognition(vi.fn(), { engine }));
+    await waitFor(() => expect(result.current.isSupported).toBe(true));
+    let started;
+    await act(async () => { started = await result.current.start(); });
+
+    expect(started).toBe(false);
+    expect(result.current.isListening).toBe(false);
+    expect(result.current.error).toBe('not-allowed');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Speech engine for native iOS/Android builds, backed by
+ * @capacitor-community/speech-recognition. The plugin is loaded lazily so
+ * the GitHub Pages bundle doesn't carry it.
+ *
+ * The plugin reports the whole utterance so far as "partial" results; the
+ * last partial becomes final when listening stops. The native recognizer
+ * also stops by itself after a pause: while the caller still wants to
+ * listen, the engine keeps what was heard and starts it again, like the web
+ * engine does.
+ *
+ * Like the web engine, start() rejects when listening can't begin (after
+ * reporting the code through onError), so callers stay idle.
+ */
+const loadPlugin = async () => (await import('@capacitor-community/speech-recognition')).SpeechRecognition;
+
+export function createCapacitorEngine() {
+  let plugin = null;
+  let lastPartial = '';
+  let handlers = null;
+  let wantListening = false;
+
+  const isAvailable = async () => {
+    try {
+      plugin = plugin || await loadPlugin();
+      return (await plugin.available()).available;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const commitPartial = () => {
+    if (lastPartial) handlers.onResult({ finalText: lastPartial, interim: '' });
+    lastPartial = '';
+  };
+
+  const finish = () => {
+    if (!handlers) return;
+    commitPartial();
+    const { onEnd } = handlers;
+    handlers = null;
+    wantListening = false;
+    plugin.removeAllListeners();
+    onEnd();
+  };
+
+  const listen = (lang) => plugin.start({ language: lang, partialResults: true, popup: false });
+
+  const restart = async () => {
+    commitPartial();
+    try {
+      await listen(handlers.lang);
+    } catch (error) {
+      handlers?.onError({ code: 'restart-failed', error });
+      finish();
+    }
+  };
+
+  const start = async ({ lang = 'en-US', onResult, onError, onEnd }) => {
+    plugin = plugin || await loadPlugin();
+
+    const permission = await plugin.requestPermissions();
+    if (permission.speechRecognition !== 'granted') {
+      onError({ code: 'not-allowed' });
+      throw new Error('not-allowed');
+    }
+
+    handlers = { lang, onResult, onError, onEnd };
+    wantListening = true;
+    lastPartial = '';
+    await plugin.removeAllListeners();
+    await plugin.addListener('partialResults', (data) => {
+      lastPartial = data.matches?.[0] || '';
+      onResult({ finalText: '', interim: lastPartial });
+    });
+    await plugin.addListener('listeningState', (data) => {
+      if (data.status !== 'stopped' || !handlers) return;
+      if (wantListening) restart();
+      else finish();
+    });
+
+    try {
+      await listen(lang);
+    } catch (error) {
+      handlers = null;
+      wantListening = false;
+      await plugin.removeAllListeners();
+      onError({ code: 'start-failed', error });
+      throw error;
+    }
+  };
+
+  const stop = async () => {
+    if (!plugin || !handlers) return;
+    wantListening = false;
+    await plugin.stop();
+    finish();
+  };
+
+  return { name: 'capacitor', isAvailable, start, stop };
+}
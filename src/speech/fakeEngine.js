@@ -0,0 +1,38 @@
+/**
+ * Scripted speech engine for tests and demos. Nothing touches a microphone:
+ * each start() plays the next script entry as final segments, and tests can
+ * also push results by hand with emit().
+ *
+ *   const engine = createFakeEngine([['Hello there.', 'I grew up on a farm.'], ['Thanks!']]);
+ */
+export function createFakeEngine(script = [], { available = true } = {}) {
+  let handlers = null;
+  let take = 0;
+
+  const emit = (text, { isFinal = true } = {}) => {
+    handlers?.onResult(isFinal ? { finalText: text, interim: '' } : { finalText: '', interim: text });
+  };
+
+  const fail = (code) => handlers?.onError({ code });
+
+  const end = () => {
+    const current = handlers;
+    handlers = null;
+    current?.onEnd();
+  };
+
+  return {
+    name: 'fake',
+    isAvailable: async () => available,
+    start: async (options) => {
+      handlers = options;
+      const segments = script[take++] || [];
+      segments.forEach(segment => emit(segment));
+    },
+    stop: async () => end(),
+    emit,
+    fail,
+    end,
+    get isListening() { return handlers !== null; }
+  };
+}
@@ -0,0 +1,20 @@
+import { Capacitor } from '@capacitor/core';
+import { createWebSpeechEngine } from './webSpeechEngine.js';
+import { createCapacitorEngine } from './capacitorEngine.js';
+
+export { createFakeEngine } from './fakeEngine.js';
+
+/**
+ * Speech engines share one interface:
+ *
+ *   isAvailable() => Promise<boolean>
+ *   start({ lang, onResult({ finalText, interim }), onError({ code }), onEnd() })
+ *   stop() => Promise<void>
+ *
+ * `finalText` only carries newly finalized words; accumulating them is the
+ * caller's job (see useSpeechRecognition). `start` rejects when listening
+ * couldn't begin (unsupported, microphone denied, engine failure).
+ */
+export function createSpeechEngine() {
+  return Capacitor.isNativePlatform() ? createCapacitorEngine() : createWebSpeechEngine();
+}
@@ -0,0 +1,84 @@
+/**
+ * Speech engine backed by the browser Web Speech API (Chrome, Safari).
+ *
+ * Browsers end a continuous session on their own after a stretch of silence
+ * or a network hiccup. While the caller still wants to listen, the engine
+ * restarts transparently; only a manual stop() or a fatal error ends it.
+ */
+
+// Errors that restarting won't fix
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported'];
+
+const getRecognitionClass = () =>
+  typeof window !== 'undefined' ? window.SpeechRecognition || window.webkitSpeechRecognition : undefined;
+
+export function createWebSpeechEngine() {
+  let recognition = null;
+  let wantListening = false;
+  let committed = 0; // Results of the current browser session already reported as final
+  let resolveStop = null;
+
+  const isAvailable = async () => Boolean(getRecognitionClass());
+
+  const start = async ({ lang = 'en-US', onResult, onError, onEnd }) => {
+    const SpeechRecognition = getRecognitionClass();
+    if (!SpeechRecognition) throw new Error('unsupported');
+
+    recognition = new SpeechRecognition();
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.lang = lang;
+    wantListening = true;
+    committed = 0;
+
+    recognition.onresult = (event) => {
+      let finalText = '';
+      let interim = '';
+      for (let i = event.resultIndex; i < event.results.length; ++i) {
+        const result = event.results[i];
+        if (result.isFinal) {
+          if (i >= committed) {
+            finalText += result[0].transcript;
+            committed = i + 1;
+          }
+        } else {
+          interim += result[0].transcript;
+        }
+      }
+      onResult({ finalText, interim });
+    };
+
+    recognition.onerror = (event) => {
+      if (FATAL_ERRORS.includes(event.error)) {
+        wantListening = false;
+        onError({ code: event.error });
+      }
+      // 'no-speech', 'network', 'aborted' fall through to onend and restart
+    };
+
+    recognition.onend = () => {
+      if (wantListening) {
+        committed = 0; // A fresh browser session starts its results list over
+        try { recognition.start(); return; }
+        catch (error) { onError({ code: 'restart-failed', error }); }
+      }
+      wantListening = false;
+      onEnd();
+      resolveStop?.();
+      resolveStop = null;
+    };
+
+    recognition.start();
+  };
+
+  // Resolves once the browser has flushed its last final result
+  const stop = () => new Promise((resolve) => {
+    if (!recognition || !wantListening) return resolve();
+    wantListening = false;
+    resolveStop = resolve;
+    recognition.stop();
+    setTimeout(() => { resolveStop?.(); resolveStop = null; }, 1500);
+  });
+
+  return { name: 'web-speech', isAvailable, start, stop };
+}
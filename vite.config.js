@@ -1,8 +1,25 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Lists the built files for the service worker to precache on install (see
+// public/sw.js): the hashed assets only get their names at build time.
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(options, bundle) {
+    const files = Object.keys(bundle).filter(file => !file.endsWith('.map'));
+    this.emitFile({ type: 'asset', fileName: 'precache-manifest.json', source: JSON.stringify(files) });
+  },
+});
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   base: '/y-platform-app/',
+  server: {
+    // AI proxy from server/ (npm run server)
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })